@@ -0,0 +1,17 @@
+import _ from 'lodash'
+import pathTo from './path-to'
+
+/**
+ * Reconstructs the path from **source** to every node in a shortest paths
+ * result. See pathTo for the supported results and the optional arguments.
+ * @param {Object} result - the shortest paths result to read from
+ * @param {String} source - node the paths were measured from
+ * @param {Graph} [g] - graph the result was computed for
+ * @param {Function} [weightFn] - weight function the result was computed with
+ * @returns {Object} map of node to its path from source, or null if unreachable
+ */
+export default function (result, source, g, weightFn) {
+  return _.transform(_.keys(result), function (acc, v) {
+    acc[v] = pathTo(result, source, v, g, weightFn)
+  }, {})
+}
@@ -0,0 +1,11 @@
+import biconnected from './biconnected'
+
+/**
+ * Finds the articulation points of **g**: the nodes whose removal would split
+ * the connected component they are in. Edges are treated as undirected.
+ * @param {Graph} g - graph to search
+ * @returns {String[]} the articulation points
+ */
+export default function (g) {
+  return biconnected(g).articulationPoints
+}
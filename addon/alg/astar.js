@@ -0,0 +1,93 @@
+import _ from 'lodash'
+import PriorityQueue from '../data/priority-queue'
+
+const DEFAULT_WEIGHT_FUNC = _.constant(1)
+const DEFAULT_HEURISTIC_FUNC = _.constant(0)
+
+function buildPath (entries, target) {
+  const path = []
+  for (let v = target; v !== undefined; v = entries[v].predecessor) {
+    path.push(v)
+  }
+  return path.reverse()
+}
+
+function enqueue (pq, key, priority) {
+  if (pq.has(key)) {
+    pq.decrease(key, priority)
+  } else {
+    pq.add(key, priority)
+  }
+}
+
+function runAstar (g, source, target, weightFn, heuristicFn, edgeFn) {
+  const entries = {}
+  const pq = new PriorityQueue()
+  let v
+
+  const updateNeighbors = function (edge) {
+    const w = edge.v !== v ? edge.v : edge.w
+    const weight = weightFn(edge)
+    const distance = entries[v].distance + weight
+
+    if (weight < 0) {
+      throw new Error('astar does not allow negative edge weights. ' +
+                      'Bad edge: ' + edge + ' Weight: ' + weight)
+    }
+
+    if (_.has(entries, w) && distance >= entries[w].distance) {
+      return
+    }
+
+    // A node that was already expanded is queued again here, which only
+    // happens when the heuristic is admissible but not consistent.
+    entries[w] = {distance: distance, predecessor: v}
+    enqueue(pq, w, distance + heuristicFn(w, target))
+  }
+
+  entries[source] = {distance: 0}
+  pq.add(source, heuristicFn(source, target))
+
+  while (pq.size() > 0) {
+    v = pq.removeMin()
+    if (v === target) {
+      return {
+        distance: entries[target].distance,
+        path: buildPath(entries, target)
+      }
+    }
+
+    edgeFn(v).forEach(updateNeighbors)
+  }
+
+  return null
+}
+
+/**
+ * Finds the shortest path between two nodes, guided by a heuristic so that
+ * the search stops as soon as the target is reached instead of exploring the
+ * whole graph. The heuristic must never overestimate the remaining distance,
+ * otherwise the path found may not be the shortest one.
+ * @param {Graph} g - graph to search
+ * @param {String} source - node to start from
+ * @param {String} target - node to find a path to
+ * @param {Function} [weightFn] - returns the weight of an edge, defaults to 1
+ * @param {Function} [heuristicFn] - estimates the distance from a node to the target, defaults to 0
+ * @param {Function} [edgeFn] - returns the edges incident on a node, defaults to out edges
+ * @returns {Object} the `distance` and the `path` of nodes from source to target, or null if unreachable
+ */
+export default function (g, source, target, weightFn, heuristicFn, edgeFn) {
+  source = String(source)
+  target = String(target)
+
+  _.each([source, target], function (v) {
+    if (!g.hasNode(v)) {
+      throw new Error('Graph does not have node: ' + v)
+    }
+  })
+
+  weightFn = weightFn || DEFAULT_WEIGHT_FUNC
+  heuristicFn = heuristicFn || DEFAULT_HEURISTIC_FUNC
+  edgeFn = edgeFn || function (v) { return g.outEdges(v) }
+  return runAstar(g, source, target, weightFn, heuristicFn, edgeFn)
+}
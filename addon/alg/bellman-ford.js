@@ -0,0 +1,106 @@
+import _ from 'lodash'
+
+const DEFAULT_WEIGHT_FUNC = _.constant(1)
+
+/**
+ * Thrown when a negative weight cycle is reachable from the source. The
+ * **cycle** property holds the nodes of the cycle in path order: there is an
+ * edge from each node to the next and from the last node back to the first.
+ * @param {String[]} cycle - nodes of the offending cycle
+ */
+function NegativeCycleException (cycle) {
+  this.cycle = cycle
+}
+
+function extractCycle (results, v, nodeCount) {
+  const cycle = []
+
+  // Walking back |V| predecessors guarantees that we land on the cycle rather
+  // than on a path leading into it.
+  for (let i = 0; i < nodeCount; i++) {
+    v = results[v].predecessor
+  }
+
+  let w = v
+  do {
+    cycle.push(w)
+    w = results[w].predecessor
+  } while (w !== v)
+
+  return cycle.reverse()
+}
+
+/*
+ * Runs a single relaxation pass over every edge reachable from a node with a
+ * known distance and returns the last node whose distance improved, if any.
+ */
+function relaxAll (nodes, results, weightFn, edgeFn) {
+  let lastRelaxed
+
+  nodes.forEach(function (v) {
+    const vEntry = results[v]
+    if (vEntry.distance === Number.POSITIVE_INFINITY) {
+      return
+    }
+
+    edgeFn(v).forEach(function (edge) {
+      const w = edge.v !== v ? edge.v : edge.w
+      const wEntry = results[w]
+      const distance = vEntry.distance + weightFn(edge)
+
+      if (distance < wEntry.distance) {
+        wEntry.distance = distance
+        wEntry.predecessor = v
+        lastRelaxed = w
+      }
+    })
+  })
+
+  return lastRelaxed
+}
+
+function runBellmanFord (g, source, weightFn, edgeFn) {
+  const results = {}
+  const nodes = g.nodes()
+  let lastRelaxed
+
+  nodes.forEach(function (v) {
+    const distance = v === source ? 0 : Number.POSITIVE_INFINITY
+    results[v] = {distance: distance}
+  })
+
+  // The first |V| - 1 passes settle every shortest path. Anything that can
+  // still be relaxed in pass |V| is on, or reachable from, a negative cycle.
+  for (let i = 0; i < nodes.length; i++) {
+    lastRelaxed = relaxAll(nodes, results, weightFn, edgeFn)
+    if (lastRelaxed === undefined) {
+      return results
+    }
+  }
+
+  if (nodes.length !== 0) {
+    throw new NegativeCycleException(extractCycle(results, lastRelaxed, nodes.length))
+  }
+
+  return results
+}
+
+/**
+ * Single source shortest paths that, unlike dijkstra, allows negative edge
+ * weights. Returns the same `{distance, predecessor}` map as dijkstra.
+ * @param {Graph} g - graph to search
+ * @param {String} source - node to measure distances from
+ * @param {Function} [weightFn] - returns the weight of an edge, defaults to 1
+ * @param {Function} [edgeFn] - returns the edges incident on a node, defaults to out edges
+ * @returns {Object} map of node to its distance and predecessor
+ * @throws {NegativeCycleException} when a negative cycle is reachable from the source
+ */
+function bellmanFord (g, source, weightFn, edgeFn) {
+  weightFn = weightFn || DEFAULT_WEIGHT_FUNC
+  edgeFn = edgeFn || function (v) { return g.outEdges(v) }
+  return runBellmanFord(g, String(source), weightFn, edgeFn)
+}
+
+bellmanFord.NegativeCycleException = NegativeCycleException
+
+export default bellmanFord
@@ -0,0 +1,85 @@
+import _ from 'lodash'
+import dijkstra from './dijkstra'
+
+const DEFAULT_WEIGHT_FUNC = _.constant(1)
+
+/*
+ * Counts the shortest paths from the source to every node it reaches and
+ * records the predecessors of each node on those paths. Nodes are returned in
+ * order of distance, so every node comes after all of its predecessors.
+ */
+function shortestPaths (g, source, weightFn, edgeFn) {
+  const distances = dijkstra(g, source, weightFn, edgeFn)
+  const order = _.sortBy(_.filter(g.nodes(), function (v) {
+    return distances[v].distance !== Number.POSITIVE_INFINITY
+  }), function (v) { return distances[v].distance })
+  const predecessors = _.mapValues(_.keyBy(order), function () { return [] })
+  const sigma = _.mapValues(predecessors, _.constant(0))
+
+  sigma[source] = 1
+  _.each(order, function (v) {
+    _.each(edgeFn(v), function (edge) {
+      const w = edge.v !== v ? edge.v : edge.w
+      if (w !== v && distances[v].distance + weightFn(edge) === distances[w].distance) {
+        sigma[w] += sigma[v]
+        predecessors[w].push(v)
+      }
+    })
+  })
+
+  return {order: order, predecessors: predecessors, sigma: sigma}
+}
+
+/*
+ * Adds the dependency of the source on every node it reaches to the scores,
+ * walking back from the furthest nodes as in Brandes' algorithm.
+ */
+function accumulate (scores, source, paths) {
+  const delta = _.mapValues(paths.sigma, _.constant(0))
+
+  _.eachRight(paths.order, function (w) {
+    _.each(paths.predecessors[w], function (v) {
+      delta[v] += paths.sigma[v] / paths.sigma[w] * (1 + delta[w])
+    })
+    if (w !== source) {
+      scores[w] += delta[w]
+    }
+  })
+}
+
+function scaleFor (g, normalized) {
+  const n = g.nodeCount()
+  if (normalized && n > 2) {
+    return 1 / ((n - 1) * (n - 2))
+  }
+
+  // Every path in an undirected graph is found once from each of its ends
+  return g.isDirected() ? 1 : 0.5
+}
+
+/**
+ * Scores each node by how many shortest paths between other nodes pass
+ * through it, using Brandes' algorithm. When several shortest paths connect a
+ * pair of nodes, each of them counts for an equal share. Parallel multigraph
+ * edges are distinct paths.
+ * @param {Graph} g - graph to score
+ * @param {Object} [opts] - options
+ * @param {Boolean} [opts.normalized] - divide by the number of pairs of other nodes, defaults to true
+ * @param {Function} [opts.weightFn] - returns the weight of an edge, defaults to 1
+ * @returns {Object} the betweenness centrality of each node
+ */
+export default function (g, opts) {
+  opts = _.defaults({}, opts, {normalized: true, weightFn: DEFAULT_WEIGHT_FUNC})
+
+  const edgeFn = (g.isDirected() ? g.outEdges : g.nodeEdges).bind(g)
+  const scores = _.mapValues(_.keyBy(g.nodes()), _.constant(0))
+
+  _.each(g.nodes(), function (source) {
+    accumulate(scores, source, shortestPaths(g, source, opts.weightFn, edgeFn))
+  })
+
+  const scale = scaleFor(g, opts.normalized)
+  return _.mapValues(scores, function (score) {
+    return score * scale
+  })
+}
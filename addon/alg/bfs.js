@@ -0,0 +1,76 @@
+import _ from 'lodash'
+
+const NAVIGATION = {
+  both: 'neighbors',
+  in: 'predecessors',
+  out: 'successors'
+}
+
+function navigation (g, direction) {
+  if (!_.has(NAVIGATION, direction)) {
+    throw new Error('Unknown bfs direction: ' + direction)
+  }
+
+  return (g.isDirected() ? g[NAVIGATION[direction]] : g.neighbors).bind(g)
+}
+
+/**
+ * Breadth first traversal from one or more roots. Nodes are visited in order
+ * of their distance in hops from the nearest root. If the graph is undirected
+ * the traversal always navigates using neighbors.
+ *
+ * The visitor is called with each node and its depth as the node is visited.
+ * Returning `false` from it ends the traversal right after that node.
+ * @param {Graph} g - graph to traverse
+ * @param {String|String[]} vs - node or nodes to start from
+ * @param {Object} [opts] - options
+ * @param {String} [opts.direction] - follow "out" edges, "in" edges or "both", defaults to "out"
+ * @param {Number} [opts.maxDepth] - do not visit nodes more hops away than this
+ * @param {Function} [opts.visitor] - called with each visited node and its depth
+ * @returns {Object} the visit `order` of the nodes and the `depth` of each visited node
+ */
+export default function (g, vs, opts) {
+  if (!_.isArray(vs)) {
+    vs = [vs]
+  }
+
+  opts = _.defaults({}, opts, {
+    direction: 'out',
+    maxDepth: Number.POSITIVE_INFINITY,
+    visitor: _.noop
+  })
+
+  const next = navigation(g, opts.direction)
+  const depth = {}
+  const order = []
+
+  _.each(vs, function (v) {
+    if (!g.hasNode(v)) {
+      throw new Error('Graph does not have node: ' + v)
+    }
+    depth[v] = 0
+  })
+
+  const queue = _.uniq(_.map(vs, String))
+  while (queue.length) {
+    const v = queue.shift()
+    order.push(v)
+    if (opts.visitor(v, depth[v]) === false) {
+      break
+    }
+
+    if (depth[v] < opts.maxDepth) {
+      _.each(next(v), function (w) {
+        if (!_.has(depth, w)) {
+          depth[w] = depth[v] + 1
+          queue.push(w)
+        }
+      })
+    }
+  }
+
+  return {
+    depth: _.pick(depth, order),
+    order: order
+  }
+}
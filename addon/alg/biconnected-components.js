@@ -0,0 +1,13 @@
+import biconnected from './biconnected'
+
+/**
+ * Finds the biconnected components of **g**: the maximal groups of nodes that
+ * stay connected after removing any one node. Edges are treated as undirected.
+ * Articulation points belong to every component they join, and nodes without
+ * edges are not part of any component.
+ * @param {Graph} g - graph to search
+ * @returns {Array[]} the nodes of each component
+ */
+export default function (g) {
+  return biconnected(g).components
+}
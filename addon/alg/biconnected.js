@@ -0,0 +1,101 @@
+import _ from 'lodash'
+
+/*
+ * Hopcroft-Tarjan depth first search for biconnectivity. Edges are treated as
+ * undirected. Only the edge used to reach a node is skipped when looking back
+ * at its parent, so a parallel edge to the parent counts as a back edge and
+ * the pair of edges is correctly not reported as a bridge. The search keeps
+ * its own stack of frames so that long chains do not overflow the call stack.
+ */
+export default function (g) {
+  let index = 0
+  const visited = {} // node id -> { index, lowlink }
+  const stack = [] // edges of the component being explored
+  const results = {
+    articulationPoints: {},
+    bridges: [],
+    components: []
+  }
+
+  function popComponent (edge) {
+    const cmpt = {}
+    let e
+    do {
+      e = stack.pop()
+      cmpt[e.v] = true
+      cmpt[e.w] = true
+    } while (e !== edge)
+    results.components.push(_.keys(cmpt))
+  }
+
+  function enter (v, parentEdge) {
+    visited[v] = {
+      lowlink: index,
+      index: index++
+    }
+    return {children: 0, edges: g.nodeEdges(v), i: 0, parentEdge: parentEdge, v: v}
+  }
+
+  // Runs once the subtree below the frame's node has been explored
+  function leaveChild (frame, parent) {
+    const entry = visited[parent.v]
+    const lowlink = visited[frame.v].lowlink
+    entry.lowlink = Math.min(entry.lowlink, lowlink)
+
+    // Nothing below the node reaches above its parent, so the parent separates it
+    if (lowlink >= entry.index) {
+      if (parent.parentEdge) {
+        results.articulationPoints[parent.v] = true
+      }
+      popComponent(frame.parentEdge)
+    }
+
+    if (lowlink > entry.index) {
+      results.bridges.push(frame.parentEdge)
+    }
+  }
+
+  // The root of the search is only a cut point if it has several subtrees
+  function leave (frame, parent) {
+    if (parent) {
+      leaveChild(frame, parent)
+    } else if (frame.children > 1) {
+      results.articulationPoints[frame.v] = true
+    }
+  }
+
+  function follow (frames, frame, edge) {
+    const entry = visited[frame.v]
+    const w = edge.v !== frame.v ? edge.v : edge.w
+    if (!_.has(visited, w)) {
+      frame.children++
+      stack.push(edge)
+      frames.push(enter(w, edge))
+    } else if (edge !== frame.parentEdge && visited[w].index < entry.index) {
+      stack.push(edge)
+      entry.lowlink = Math.min(entry.lowlink, visited[w].index)
+    }
+  }
+
+  function dfs (root) {
+    const frames = [enter(root)]
+    while (frames.length) {
+      const frame = _.last(frames)
+      if (frame.i < frame.edges.length) {
+        follow(frames, frame, frame.edges[frame.i++])
+      } else {
+        frames.pop()
+        leave(frame, _.last(frames))
+      }
+    }
+  }
+
+  _.each(g.nodes(), function (v) {
+    if (!_.has(visited, v)) {
+      dfs(v)
+    }
+  })
+
+  results.articulationPoints = _.keys(results.articulationPoints)
+  return results
+}
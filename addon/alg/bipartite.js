@@ -0,0 +1,34 @@
+import _ from 'lodash'
+import isBipartite from './is-bipartite'
+
+/*
+ * Works out the two sides of a bipartite graph for the matching algorithms.
+ * Without **leftNodes** the sides are found by coloring the graph. Edges
+ * between two nodes on the same side are ignored.
+ */
+export default function (g, leftNodes) {
+  if (_.isUndefined(leftNodes)) {
+    const result = isBipartite(g)
+    if (!result.bipartite) {
+      throw new Error('Graph is not bipartite, it has the odd cycle: ' + result.cycle)
+    }
+    leftNodes = _.filter(g.nodes(), function (v) { return result.coloring[v] === 0 })
+  }
+
+  _.each(leftNodes, function (v) {
+    if (!g.hasNode(v)) {
+      throw new Error('Graph does not have node: ' + v)
+    }
+  })
+
+  const left = _.keyBy(_.map(leftNodes, String))
+  const right = _.keyBy(_.reject(g.nodes(), function (v) { return _.has(left, v) }))
+
+  return {
+    left: _.keys(left),
+    neighbors: function (v) {
+      return _.filter(g.neighbors(v), function (w) { return _.has(right, w) })
+    },
+    right: _.keys(right)
+  }
+}
@@ -0,0 +1,601 @@
+import _ from 'lodash'
+
+/*
+ * Edmonds' blossom algorithm for a maximum weight matching among the matchings
+ * of maximum cardinality, in the primal-dual form described by Galil and
+ * following the implementation of Van Rantwijk. Takes `O(n^3)` time.
+ *
+ * Nodes are numbered 0 to n - 1 and blossoms n to 2n - 1. Edge k has the two
+ * endpoints 2k and 2k + 1, so p ^ 1 is the other end of the edge of endpoint p
+ * and endpoint[p] is the node it is on. A top level blossom is labelled S or
+ * T while a search is growing, and labelEnd holds the endpoint it got its
+ * label through. Slack and dual values are kept doubled so that whole number
+ * weights stay whole numbers.
+ */
+
+const FREE = 0
+const S = 1
+const T = 2
+const BREADCRUMB = 4
+
+function filled (length, value) {
+  return _.times(length, _.constant(value))
+}
+
+function createState (n, edges) {
+  const neighborEnds = _.times(n, function () { return [] })
+  _.each(edges, function (edge, k) {
+    neighborEnds[edge[0]].push(2 * k + 1)
+    neighborEnds[edge[1]].push(2 * k)
+  })
+
+  return {
+    allowEdge: [],
+    bestEdge: [],
+    blossomBase: _.range(n).concat(filled(n, -1)),
+    blossomBestEdges: filled(2 * n, null),
+    blossomEnds: filled(2 * n, null),
+    blossomParent: filled(2 * n, -1),
+    children: filled(2 * n, null),
+    dual: filled(n, Math.max(0, _.max(_.map(edges, 2)) || 0)).concat(filled(n, 0)),
+    edges: edges,
+    endpoint: _.flatten(_.map(edges, function (edge) { return [edge[0], edge[1]] })),
+    inBlossom: _.range(n),
+    label: [],
+    labelEnd: filled(2 * n, -1),
+    mate: filled(n, -1),
+    n: n,
+    neighborEnds: neighborEnds,
+    queue: [],
+    unused: _.range(n, 2 * n)
+  }
+}
+
+function slack (s, k) {
+  const edge = s.edges[k]
+  return s.dual[edge[0]] + s.dual[edge[1]] - 2 * edge[2]
+}
+
+function tighter (s, k, current) {
+  return current === -1 || slack(s, k) < slack(s, current)
+}
+
+function leaves (s, b) {
+  if (b < s.n) {
+    return [b]
+  }
+  return _.flatMap(s.children[b], function (child) { return leaves(s, child) })
+}
+
+/*
+ * Index into the children or endpoints of a blossom, where negative indices
+ * count back from the end.
+ */
+function at (list, i) {
+  return list[(i + list.length) % list.length]
+}
+
+/*
+ * Which way round a blossom to go from child **i** to its base so that the
+ * path has even length.
+ */
+function direction (i, length) {
+  if (i & 1) {
+    return {j: i - length, step: 1, trick: 0}
+  }
+  return {j: i, step: -1, trick: 1}
+}
+
+/* === Labelling =============== */
+
+function assignLabel (s, w, t, p) {
+  const b = s.inBlossom[w]
+  s.label[w] = s.label[b] = t
+  s.labelEnd[w] = s.labelEnd[b] = p
+  s.bestEdge[w] = s.bestEdge[b] = -1
+
+  if (t === S) {
+    _.each(leaves(s, b), function (v) { s.queue.push(v) })
+  } else {
+    // The base of a T blossom is matched, and its mate becomes an S node
+    const mateEnd = s.mate[s.blossomBase[b]]
+    assignLabel(s, s.endpoint[mateEnd], S, mateEnd ^ 1)
+  }
+}
+
+/*
+ * The node two steps up the alternating tree from S blossom **b**, or -1 at
+ * the root.
+ */
+function stepUp (s, b) {
+  if (s.labelEnd[b] === -1) {
+    return -1
+  }
+  const t = s.endpoint[s.labelEnd[b]]
+  return s.endpoint[s.labelEnd[s.inBlossom[t]]]
+}
+
+/*
+ * Walks up the alternating trees from two S nodes joined by a tight edge, one
+ * step from each side in turn. Returns the base of the new blossom where the
+ * walks meet, or -1 if they reach two different roots and so found an
+ * augmenting path.
+ */
+function scanBlossom (s, v, w) {
+  const path = []
+  let base = -1
+
+  while (v !== -1 || w !== -1) {
+    const b = s.inBlossom[v]
+    if (s.label[b] & BREADCRUMB) {
+      base = s.blossomBase[b]
+      break
+    }
+
+    path.push(b)
+    s.label[b] = S | BREADCRUMB
+    v = stepUp(s, b)
+    if (w !== -1) {
+      [v, w] = [w, v]
+    }
+  }
+
+  _.each(path, function (b) { s.label[b] = S })
+  return base
+}
+
+/* === Creating blossoms ======= */
+
+function traceToBase (s, b, bb, v, flip) {
+  const path = []
+  const ends = []
+  let bv = s.inBlossom[v]
+
+  while (bv !== bb) {
+    s.blossomParent[bv] = b
+    path.push(bv)
+    ends.push(s.labelEnd[bv] ^ flip)
+    bv = s.inBlossom[s.endpoint[s.labelEnd[bv]]]
+  }
+
+  return {ends: ends, path: path}
+}
+
+/*
+ * The edges to look at for the best edge out of a new blossom: those kept
+ * by a child blossom, or else all the edges of the child's nodes.
+ */
+function candidateEdges (s, bv) {
+  if (s.blossomBestEdges[bv]) {
+    return s.blossomBestEdges[bv]
+  }
+  return _.flatMap(leaves(s, bv), function (v) {
+    return _.map(s.neighborEnds[v], function (p) { return p >> 1 })
+  })
+}
+
+function considerBestEdge (s, b, bestTo, k) {
+  const edge = s.edges[k]
+  const j = s.inBlossom[edge[1]] === b ? edge[0] : edge[1]
+  const bj = s.inBlossom[j]
+  if (bj !== b && s.label[bj] === S && tighter(s, k, bestTo[bj])) {
+    bestTo[bj] = k
+  }
+}
+
+/*
+ * Keeps the tightest edge from the new blossom to each other S blossom, so
+ * later searches do not need to look at all the edges of its nodes.
+ */
+function updateBestEdges (s, b) {
+  const bestTo = filled(2 * s.n, -1)
+
+  _.each(s.children[b], function (bv) {
+    _.each(candidateEdges(s, bv), function (k) { considerBestEdge(s, b, bestTo, k) })
+    s.blossomBestEdges[bv] = null
+    s.bestEdge[bv] = -1
+  })
+
+  s.blossomBestEdges[b] = _.filter(bestTo, function (k) { return k !== -1 })
+  s.bestEdge[b] = _.reduce(s.blossomBestEdges[b], function (best, k) {
+    return tighter(s, k, best) ? k : best
+  }, -1)
+}
+
+/*
+ * Turns the odd cycle closed by edge **k** into a blossom with the given base.
+ */
+function addBlossom (s, base, k) {
+  const bb = s.inBlossom[base]
+  const b = s.unused.pop()
+  s.blossomBase[b] = base
+  s.blossomParent[b] = -1
+  s.blossomParent[bb] = b
+
+  const vSide = traceToBase(s, b, bb, s.edges[k][0], 0)
+  const wSide = traceToBase(s, b, bb, s.edges[k][1], 1)
+  s.children[b] = [bb].concat(vSide.path.reverse(), wSide.path)
+  s.blossomEnds[b] = vSide.ends.reverse().concat([2 * k], wSide.ends)
+
+  s.label[b] = S
+  s.labelEnd[b] = s.labelEnd[bb]
+  s.dual[b] = 0
+
+  // The former T nodes are now S nodes and their edges need to be scanned
+  _.each(leaves(s, b), function (v) {
+    if (s.label[s.inBlossom[v]] === T) {
+      s.queue.push(v)
+    }
+    s.inBlossom[v] = b
+  })
+
+  updateBestEdges(s, b)
+}
+
+/* === Expanding blossoms ====== */
+
+function releaseChild (s, child, endStage) {
+  s.blossomParent[child] = -1
+  if (child < s.n) {
+    s.inBlossom[child] = child
+  } else if (endStage && s.dual[child] === 0) {
+    expandBlossom(s, child, endStage)
+  } else {
+    _.each(leaves(s, child), function (v) { s.inBlossom[v] = child })
+  }
+}
+
+/*
+ * Gives the nodes on the even path from the entry child to the base of an
+ * expanded T blossom alternating T and S labels. Returns where the walk
+ * stopped.
+ */
+function relabelPath (s, b, entryChild) {
+  const ends = s.blossomEnds[b]
+  const dir = direction(s.children[b].indexOf(entryChild), ends.length)
+  let j = dir.j
+  let p = s.labelEnd[b]
+
+  while (j !== 0) {
+    s.label[s.endpoint[p ^ 1]] = FREE
+    s.label[s.endpoint[at(ends, j - dir.trick) ^ dir.trick ^ 1]] = FREE
+    assignLabel(s, s.endpoint[p ^ 1], T, p)
+    s.allowEdge[at(ends, j - dir.trick) >> 1] = true
+    j += dir.step
+    p = at(ends, j - dir.trick) ^ dir.trick
+    s.allowEdge[p >> 1] = true
+    j += dir.step
+  }
+
+  return {dir: dir, j: j, p: p}
+}
+
+/*
+ * A child off the relabelled path that was reached through one of its nodes
+ * keeps a T label.
+ */
+function relabelChild (s, bv) {
+  if (s.label[bv] === S) {
+    return
+  }
+
+  const v = _.find(leaves(s, bv), function (w) { return s.label[w] !== FREE })
+  if (v !== undefined) {
+    s.label[v] = FREE
+    s.label[s.endpoint[s.mate[s.blossomBase[bv]]]] = FREE
+    assignLabel(s, v, T, s.labelEnd[v])
+  }
+}
+
+function relabelExpanded (s, b) {
+  const children = s.children[b]
+  const entryChild = s.inBlossom[s.endpoint[s.labelEnd[b] ^ 1]]
+  const walk = relabelPath(s, b, entryChild)
+  const base = at(children, walk.j)
+  let j = walk.j + walk.dir.step
+
+  s.label[s.endpoint[walk.p ^ 1]] = s.label[base] = T
+  s.labelEnd[s.endpoint[walk.p ^ 1]] = s.labelEnd[base] = walk.p
+  s.bestEdge[base] = -1
+
+  while (at(children, j) !== entryChild) {
+    relabelChild(s, at(children, j))
+    j += walk.dir.step
+  }
+}
+
+/*
+ * Turns the children of a blossom back into top level blossoms. At the end
+ * of a stage, children with a zero dual are expanded too.
+ */
+function expandBlossom (s, b, endStage) {
+  _.each(s.children[b], function (child) { releaseChild(s, child, endStage) })
+
+  if (!endStage && s.label[b] === T) {
+    relabelExpanded(s, b)
+  }
+
+  s.label[b] = s.labelEnd[b] = -1
+  s.children[b] = s.blossomEnds[b] = null
+  s.blossomBase[b] = -1
+  s.blossomBestEdges[b] = null
+  s.bestEdge[b] = -1
+  s.unused.push(b)
+}
+
+/* === Augmenting ============== */
+
+function swapPair (s, b, j, dir) {
+  const children = s.children[b]
+  const p = at(s.blossomEnds[b], j + dir.step - dir.trick) ^ dir.trick
+
+  if (at(children, j + dir.step) >= s.n) {
+    augmentBlossom(s, at(children, j + dir.step), s.endpoint[p])
+  }
+  if (at(children, j + 2 * dir.step) >= s.n) {
+    augmentBlossom(s, at(children, j + 2 * dir.step), s.endpoint[p ^ 1])
+  }
+
+  s.mate[s.endpoint[p]] = p ^ 1
+  s.mate[s.endpoint[p ^ 1]] = p
+}
+
+/*
+ * Flips the matched and unmatched edges on the even path from node **v** to
+ * the base of blossom **b**, making **v** the new base.
+ */
+function augmentBlossom (s, b, v) {
+  let t = v
+  while (s.blossomParent[t] !== b) {
+    t = s.blossomParent[t]
+  }
+  if (t >= s.n) {
+    augmentBlossom(s, t, v)
+  }
+
+  const i = s.children[b].indexOf(t)
+  const dir = direction(i, s.children[b].length)
+  for (let j = dir.j; j !== 0; j += 2 * dir.step) {
+    swapPair(s, b, j, dir)
+  }
+
+  s.children[b] = s.children[b].slice(i).concat(s.children[b].slice(0, i))
+  s.blossomEnds[b] = s.blossomEnds[b].slice(i).concat(s.blossomEnds[b].slice(0, i))
+  s.blossomBase[b] = s.blossomBase[s.children[b][0]]
+}
+
+function augmentStep (s, v, p) {
+  const bs = s.inBlossom[v]
+  if (bs >= s.n) {
+    augmentBlossom(s, bs, v)
+  }
+  s.mate[v] = p
+  if (s.labelEnd[bs] === -1) {
+    return null
+  }
+
+  const bt = s.inBlossom[s.endpoint[s.labelEnd[bs]]]
+  const j = s.endpoint[s.labelEnd[bt] ^ 1]
+  if (bt >= s.n) {
+    augmentBlossom(s, bt, j)
+  }
+  s.mate[j] = s.labelEnd[bt]
+  return {p: s.labelEnd[bt] ^ 1, v: s.endpoint[s.labelEnd[bt]]}
+}
+
+/*
+ * Flips the edges along the augmenting path through edge **k**, walking from
+ * each of its ends up to the root of its alternating tree.
+ */
+function augmentMatching (s, k) {
+  _.each([[s.edges[k][0], 2 * k + 1], [s.edges[k][1], 2 * k]], function (start) {
+    let next = {p: start[1], v: start[0]}
+    while (next) {
+      next = augmentStep(s, next.v, next.p)
+    }
+  })
+}
+
+/* === Searching =============== */
+
+function joinSBlossoms (s, v, w, k) {
+  const base = scanBlossom(s, v, w)
+  if (base >= 0) {
+    addBlossom(s, base, k)
+    return false
+  }
+
+  augmentMatching(s, k)
+  return true
+}
+
+function followTightEdge (s, v, w, p) {
+  const label = s.label[s.inBlossom[w]]
+  if (label === FREE) {
+    assignLabel(s, w, T, p ^ 1)
+  } else if (label === S) {
+    return joinSBlossoms(s, v, w, p >> 1)
+  } else if (s.label[w] === FREE) {
+    // w is inside a T blossom but was not reached before
+    s.label[w] = T
+    s.labelEnd[w] = p ^ 1
+  }
+  return false
+}
+
+function recordBestEdge (s, v, w, k) {
+  if (s.label[s.inBlossom[w]] === S) {
+    const b = s.inBlossom[v]
+    s.bestEdge[b] = tighter(s, k, s.bestEdge[b]) ? k : s.bestEdge[b]
+  } else if (s.label[w] === FREE) {
+    s.bestEdge[w] = tighter(s, k, s.bestEdge[w]) ? k : s.bestEdge[w]
+  }
+}
+
+/*
+ * Looks at the edge of S node **v** at endpoint **p**. Returns whether the
+ * matching was augmented.
+ */
+function scanEdge (s, v, p) {
+  const k = p >> 1
+  const w = s.endpoint[p]
+  if (s.inBlossom[v] === s.inBlossom[w]) {
+    return false
+  }
+
+  if (!s.allowEdge[k] && slack(s, k) <= 0) {
+    s.allowEdge[k] = true
+  }
+  if (s.allowEdge[k]) {
+    return followTightEdge(s, v, w, p)
+  }
+
+  recordBestEdge(s, v, w, k)
+  return false
+}
+
+function grow (s) {
+  while (s.queue.length) {
+    const v = s.queue.pop()
+    if (_.some(s.neighborEnds[v], function (p) { return scanEdge(s, v, p) })) {
+      return true
+    }
+  }
+  return false
+}
+
+/* === Dual updates ============ */
+
+function smaller (current, candidate) {
+  return !current || candidate.value < current.value ? candidate : current
+}
+
+function freeNodeDelta (s, delta, v) {
+  if (s.label[s.inBlossom[v]] === FREE && s.bestEdge[v] !== -1) {
+    return smaller(delta, {edge: s.bestEdge[v], type: 2, value: slack(s, s.bestEdge[v])})
+  }
+  return delta
+}
+
+function sBlossomDelta (s, delta, b) {
+  if (s.blossomParent[b] === -1 && s.label[b] === S && s.bestEdge[b] !== -1) {
+    return smaller(delta, {edge: s.bestEdge[b], type: 3, value: slack(s, s.bestEdge[b]) / 2})
+  }
+  return delta
+}
+
+function tBlossomDelta (s, delta, b) {
+  if (s.blossomBase[b] >= 0 && s.blossomParent[b] === -1 && s.label[b] === T) {
+    return smaller(delta, {blossom: b, type: 4, value: s.dual[b]})
+  }
+  return delta
+}
+
+/*
+ * The largest change to the duals that keeps every slack non negative, and
+ * what becomes possible after it: a tight edge to a free node (2), a tight
+ * edge between S blossoms (3) or a T blossom that can be expanded (4). With
+ * none of those the matching already has maximum cardinality (1).
+ */
+function findDelta (s) {
+  let delta = null
+  _.times(s.n, function (v) { delta = freeNodeDelta(s, delta, v) })
+  _.times(2 * s.n, function (b) { delta = sBlossomDelta(s, delta, b) })
+  _.each(_.range(s.n, 2 * s.n), function (b) { delta = tBlossomDelta(s, delta, b) })
+  return delta || {type: 1, value: Math.max(0, _.min(s.dual.slice(0, s.n)))}
+}
+
+function updateNodeDuals (s, value) {
+  _.times(s.n, function (v) {
+    const label = s.label[s.inBlossom[v]]
+    if (label === S) {
+      s.dual[v] -= value
+    } else if (label === T) {
+      s.dual[v] += value
+    }
+  })
+}
+
+function updateBlossomDuals (s, value) {
+  _.each(_.range(s.n, 2 * s.n), function (b) {
+    if (s.blossomBase[b] < 0 || s.blossomParent[b] !== -1) {
+      return
+    }
+    if (s.label[b] === S) {
+      s.dual[b] += value
+    } else if (s.label[b] === T) {
+      s.dual[b] -= value
+    }
+  })
+}
+
+function applyDelta (s, delta) {
+  if (delta.type === 4) {
+    expandBlossom(s, delta.blossom, false)
+    return
+  }
+
+  const edge = s.edges[delta.edge]
+  s.allowEdge[delta.edge] = true
+  s.queue.push(s.label[s.inBlossom[edge[0]]] === FREE ? edge[1] : edge[0])
+}
+
+/* === Stages ================== */
+
+/*
+ * Grows alternating trees from every unmatched node until an augmenting path
+ * is found. Returns whether the matching was augmented.
+ */
+function stage (s) {
+  s.label = filled(2 * s.n, FREE)
+  s.bestEdge = filled(2 * s.n, -1)
+  s.blossomBestEdges = s.blossomBestEdges.slice(0, s.n).concat(filled(s.n, null))
+  s.allowEdge = filled(s.edges.length, false)
+  s.queue = []
+
+  _.times(s.n, function (v) {
+    if (s.mate[v] === -1 && s.label[s.inBlossom[v]] === FREE) {
+      assignLabel(s, v, S, -1)
+    }
+  })
+
+  for (;;) {
+    if (grow(s)) {
+      return true
+    }
+
+    const delta = findDelta(s)
+    updateNodeDuals(s, delta.value)
+    updateBlossomDuals(s, delta.value)
+    if (delta.type === 1) {
+      return false
+    }
+    applyDelta(s, delta)
+  }
+}
+
+function expandZeroBlossoms (s) {
+  _.each(_.range(s.n, 2 * s.n), function (b) {
+    if (s.blossomParent[b] === -1 && s.blossomBase[b] >= 0 && s.label[b] === S && s.dual[b] === 0) {
+      expandBlossom(s, b, true)
+    }
+  })
+}
+
+/**
+ * Finds a matching of maximum cardinality, and among those one of maximum
+ * total weight, in a general graph.
+ * @param {Number} n - number of nodes, numbered from 0
+ * @param {Array[]} edges - each edge as `[i, j, weight]`
+ * @returns {Number[]} the node each node is matched with, or -1
+ */
+export default function (n, edges) {
+  const s = createState(n, edges)
+  while (stage(s)) {
+    expandZeroBlossoms(s)
+  }
+
+  return _.map(s.mate, function (p) {
+    return p === -1 ? -1 : s.endpoint[p]
+  })
+}
@@ -0,0 +1,12 @@
+import biconnected from './biconnected'
+
+/**
+ * Finds the bridges of **g**: the edges whose removal would split the
+ * connected component they are in. Edges are treated as undirected, and an
+ * edge with a parallel multigraph edge alongside it is never a bridge.
+ * @param {Graph} g - graph to search
+ * @returns {Object[]} the bridge edges
+ */
+export default function (g) {
+  return biconnected(g).bridges
+}
@@ -0,0 +1,126 @@
+import _ from 'lodash'
+import Graph from '../graph'
+import blossom from './blossom'
+import dijkstra from './dijkstra'
+import eulerianPath from './eulerian-path'
+import minCostBipartiteMatching from './min-cost-bipartite-matching'
+import pathTo from './path-to'
+
+const DEFAULT_WEIGHT_FUNC = _.constant(1)
+
+/*
+ * In an undirected graph the odd nodes are paired up so that the paths
+ * joining each pair are as short as possible in total. This is a minimum
+ * weight perfect matching, found as the heaviest matching of maximum size
+ * with every distance subtracted from the longest one.
+ */
+function undirectedPairs (g, weightFn) {
+  const edgeFn = function (v) { return g.nodeEdges(v) }
+  const odd = _.filter(g.nodes(), function (v) { return g.nodeEdges(v).length % 2 })
+  const results = _.map(odd, function (v) { return dijkstra(g, v, weightFn, edgeFn) })
+  const edges = _.flatMap(odd, function (v, i) {
+    return _.map(_.range(i + 1, odd.length), function (j) {
+      return [i, j, results[i][odd[j]].distance]
+    })
+  })
+
+  // Odd nodes in different components can never be joined
+  const longest = _.max(_.map(edges, 2)) || 0
+  if (longest === Number.POSITIVE_INFINITY) {
+    return null
+  }
+
+  const mate = blossom(odd.length, _.map(edges, function (edge) {
+    return [edge[0], edge[1], longest - edge[2]]
+  }))
+
+  return _.filter(_.map(odd, function (v, i) {
+    return mate[i] > i ? {from: v, result: results[i], to: odd[mate[i]]} : null
+  }))
+}
+
+/*
+ * Lists a node once for every edge it is short of in one direction.
+ */
+function unitsOf (g, shortfall) {
+  return _.flatten(_.map(g.nodes(), function (v) {
+    return _.times(Math.max(0, shortfall(v)), _.constant(v))
+  }))
+}
+
+/*
+ * In a directed graph every node with more edges in than out needs extra
+ * paths leaving it, and every node with more edges out than in needs extra
+ * paths entering it. Matching those up at the lowest total distance is an
+ * assignment problem.
+ */
+function directedPairs (g, weightFn) {
+  const from = unitsOf(g, function (v) { return g.inEdges(v).length - g.outEdges(v).length })
+  const to = unitsOf(g, function (v) { return g.outEdges(v).length - g.inEdges(v).length })
+  const results = _.mapValues(_.keyBy(_.uniq(from)), function (v) { return dijkstra(g, v, weightFn) })
+  const assignment = new Graph()
+
+  _.each(from, function (v, i) {
+    assignment.setNode('from' + i)
+    _.each(to, function (w, j) {
+      const distance = results[v][w].distance
+      if (distance !== Number.POSITIVE_INFINITY) {
+        assignment.setEdge('from' + i, 'to' + j, distance)
+      }
+    })
+  })
+
+  const left = _.map(from, function (v, i) { return 'from' + i })
+  const targets = _.zipObject(_.map(to, function (w, j) { return 'to' + j }), to)
+  const matching = minCostBipartiteMatching(assignment, left, function (e) { return assignment.edge(e) })
+  if (matching.size < from.length) {
+    return null
+  }
+
+  return _.map(from, function (v, i) {
+    return {from: v, result: results[v], to: targets[matching.matching['from' + i]]}
+  })
+}
+
+/**
+ * Finds the shortest closed walk that uses every edge at least once, the
+ * route of the Chinese postman. Edges are walked again along the shortest
+ * paths that join the nodes that would otherwise leave the walk stranded.
+ * Weights must not be negative.
+ * @param {Graph} g - graph to walk
+ * @param {Function} [weightFn] - returns the weight of an edge, defaults to 1
+ * @param {String} [start] - node to start and end at, defaults to any node with edges
+ * @returns {Object} the total `distance`, the `edges` in order and the `path` of nodes, or null if there is no route
+ */
+export default function (g, weightFn, start) {
+  weightFn = weightFn || DEFAULT_WEIGHT_FUNC
+
+  const pairs = g.isDirected() ? directedPairs(g, weightFn) : undirectedPairs(g, weightFn)
+  if (!pairs) {
+    return null
+  }
+
+  // Every edge to walk, repeats included, is a parallel edge of the route
+  // graph labelled with the edge of g it stands for
+  const route = new Graph({directed: g.isDirected(), multigraph: true})
+  const repeats = _.flatten(_.map(pairs, function (pair) {
+    return pathTo(pair.result, pair.from, pair.to, g, weightFn).edges
+  }))
+
+  _.each(g.nodes(), function (v) { route.setNode(v) })
+  _.each(g.edges().concat(repeats), function (edge, i) {
+    route.setEdge(edge.v, edge.w, edge, String(i))
+  })
+
+  const walk = eulerianPath(route, start)
+  if (!walk) {
+    return null
+  }
+
+  const edges = _.map(walk.edges, function (edge) { return route.edge(edge) })
+  return {
+    distance: _.sumBy(edges, weightFn),
+    edges: edges,
+    path: walk.path
+  }
+}
@@ -0,0 +1,41 @@
+import _ from 'lodash'
+import dijkstra from './dijkstra'
+
+const DEFAULT_WEIGHT_FUNC = _.constant(1)
+
+/*
+ * Scales the inverse of the average distance to the reachable nodes by the
+ * share of the other nodes that are reachable (Wasserman and Faust), so that
+ * nodes which only reach a few close neighbors do not score highest.
+ */
+function closeness (distances, v, n) {
+  const reachable = _.filter(_.omit(distances, v), function (entry) {
+    return entry.distance !== Number.POSITIVE_INFINITY
+  })
+  const total = _.sumBy(reachable, 'distance')
+
+  if (total === 0) {
+    return 0
+  }
+
+  return (reachable.length / total) * (reachable.length / (n - 1))
+}
+
+/**
+ * Scores each node by how close it is to the other nodes, measured along out
+ * edges in a directed graph. Nodes that reach no other node score 0.
+ * @param {Graph} g - graph to score
+ * @param {Object} [opts] - options
+ * @param {Function} [opts.weightFn] - returns the weight of an edge, defaults to 1
+ * @returns {Object} the closeness centrality of each node
+ */
+export default function (g, opts) {
+  opts = _.defaults({}, opts, {weightFn: DEFAULT_WEIGHT_FUNC})
+
+  const edgeFn = (g.isDirected() ? g.outEdges : g.nodeEdges).bind(g)
+  const n = g.nodeCount()
+
+  return _.mapValues(_.keyBy(g.nodes()), function (v) {
+    return closeness(dijkstra(g, v, opts.weightFn, edgeFn), v, n)
+  })
+}
@@ -0,0 +1,67 @@
+import _ from 'lodash'
+
+/*
+ * Newman's modularity of a partition of the nodes, with edges treated as
+ * undirected. It compares the weight of the edges inside each community with
+ * the weight expected if the edges were placed at random.
+ */
+function modularity (g, communities, weightFn) {
+  const inside = {}
+  const degree = {}
+  let total = 0
+
+  _.each(g.edges(), function (edge) {
+    const weight = weightFn(edge)
+    const cv = communities[edge.v]
+    const cw = communities[edge.w]
+
+    total += weight
+    degree[cv] = (degree[cv] || 0) + weight
+    degree[cw] = (degree[cw] || 0) + weight
+    if (cv === cw) {
+      inside[cv] = (inside[cv] || 0) + weight
+    }
+  })
+
+  if (total === 0) {
+    return 0
+  }
+
+  return _.sumBy(_.keys(degree), function (c) {
+    return (inside[c] || 0) / total - Math.pow(degree[c] / (2 * total), 2)
+  })
+}
+
+function parentFor (setParent) {
+  return _.isFunction(setParent) ? setParent : function (id) { return 'community-' + id }
+}
+
+/*
+ * Shared by the community detection algorithms: renumbers the communities
+ * from 0 in the order their first node appears in the graph, scores the
+ * partition and, if asked to, writes it back to the graph as parents.
+ */
+export default function (g, labels, weightFn, opts) {
+  const ids = {}
+  let count = 0
+  const communities = _.mapValues(_.keyBy(g.nodes()), function (v) {
+    if (!_.has(ids, labels[v])) {
+      ids[labels[v]] = count++
+    }
+    return ids[labels[v]]
+  })
+
+  const result = {
+    communities: communities,
+    modularity: modularity(g, communities, weightFn)
+  }
+
+  if (opts.setParent) {
+    const parent = parentFor(opts.setParent)
+    _.each(communities, function (id, v) {
+      g.setParent(v, parent(id))
+    })
+  }
+
+  return result
+}
@@ -0,0 +1,16 @@
+import _ from 'lodash'
+import UnionFind from '../data/union-find'
+
+export default function (g) {
+  const sets = new UnionFind()
+
+  _.each(g.nodes(), function (v) {
+    sets.add(v)
+  })
+
+  _.each(g.edges(), function (edge) {
+    sets.union(edge.v, edge.w)
+  })
+
+  return sets.sets()
+}
@@ -0,0 +1,38 @@
+import _ from 'lodash'
+import Graph from '../graph'
+import tarjan from './tarjan'
+
+/**
+ * Collapses each strongly connected component of **g** into a single node.
+ * The resulting graph is always acyclic, so it can be passed to topsort. Its
+ * nodes are component ids labelled with the `members` of the component, and
+ * there is an edge between two components whenever an edge of **g** joins a
+ * member of the first to a member of the second.
+ * @param {Graph} g - directed graph to condense
+ * @returns {Object} the condensed `graph` and a `mapping` of each node of **g** to its component id
+ */
+export default function (g) {
+  const graph = new Graph()
+  const mapping = {}
+
+  _.each(tarjan(g), function (members, i) {
+    const id = String(i)
+    graph.setNode(id, {members: members})
+    _.each(members, function (v) {
+      mapping[v] = id
+    })
+  })
+
+  _.each(g.edges(), function (edge) {
+    const v = mapping[edge.v]
+    const w = mapping[edge.w]
+    if (v !== w) {
+      graph.setEdge(v, w)
+    }
+  })
+
+  return {
+    graph: graph,
+    mapping: mapping
+  }
+}
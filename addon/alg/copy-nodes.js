@@ -0,0 +1,23 @@
+import _ from 'lodash'
+import Graph from '../graph'
+
+/*
+ * Starts a new simple graph with the same directedness, graph label, nodes,
+ * node labels and, for compound graphs, parents as **g**, but no edges.
+ */
+export default function (g) {
+  const copy = new Graph({compound: g.isCompound(), directed: g.isDirected()})
+  copy.setGraph(g.graph())
+
+  _.each(g.nodes(), function (v) {
+    copy.setNode(v, g.node(v))
+  })
+
+  if (g.isCompound()) {
+    _.each(g.nodes(), function (v) {
+      copy.setParent(v, g.parent(v))
+    })
+  }
+
+  return copy
+}
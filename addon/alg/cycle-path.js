@@ -0,0 +1,22 @@
+import _ from 'lodash'
+
+/*
+ * Finds a cycle among the nodes for which **isLeftOver** holds, given that
+ * each of them has a left over successor or, when walking backwards, a left
+ * over predecessor. Returns the nodes of the cycle in path order.
+ */
+export default function (g, isLeftOver, backwards) {
+  const next = backwards ? g.predecessors : g.successors
+  const positions = {}
+  const path = []
+  let v = _.find(g.nodes(), isLeftOver)
+
+  while (!_.has(positions, v)) {
+    positions[v] = path.length
+    path.push(v)
+    v = _.find(next.call(g, v), isLeftOver)
+  }
+
+  const cycle = path.slice(positions[v])
+  return backwards ? cycle.reverse() : cycle
+}
@@ -0,0 +1,30 @@
+import _ from 'lodash'
+
+const EDGES = {
+  both: 'nodeEdges',
+  in: 'inEdges',
+  out: 'outEdges'
+}
+
+/**
+ * Scores each node by the number of edges incident on it, divided by the
+ * number of other nodes so that graphs of different sizes can be compared.
+ * If the graph is undirected all incident edges are always counted.
+ * @param {Graph} g - graph to score
+ * @param {Object} [opts] - options
+ * @param {String} [opts.direction] - count "out" edges, "in" edges or "both", defaults to "both"
+ * @returns {Object} the degree centrality of each node
+ */
+export default function (g, opts) {
+  opts = _.defaults({}, opts, {direction: 'both'})
+  if (!_.has(EDGES, opts.direction)) {
+    throw new Error('Unknown degree centrality direction: ' + opts.direction)
+  }
+
+  const edges = g.isDirected() ? EDGES[opts.direction] : EDGES.both
+  const scale = g.nodeCount() > 1 ? 1 / (g.nodeCount() - 1) : 0
+
+  return _.mapValues(_.keyBy(g.nodes()), function (v) {
+    return g[edges](v).length * scale
+  })
+}
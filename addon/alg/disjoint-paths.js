@@ -0,0 +1,209 @@
+import _ from 'lodash'
+import Graph from '../graph'
+import dijkstra from './dijkstra'
+import pathTo from './path-to'
+
+const DEFAULT_WEIGHT_FUNC = _.constant(1)
+const MODES = ['edge', 'node']
+
+/*
+ * Builds the flow network the paths are routed through. Every original edge
+ * becomes an arc of capacity one, and an undirected edge becomes a pair of
+ * opposite arcs. In node mode each inner node is split into an "in" and an
+ * "out" node joined by a single arc, so that at most one path can cross it.
+ * Arcs into the source or out of the target can never be on a shortest path
+ * and are left out. Every arc gets a unique name, which keys the flow.
+ */
+function buildNetwork (g, source, target, mode, weightFn) {
+  const network = new Graph({multigraph: true})
+  const split = mode === 'node'
+  let count = 0
+
+  const inNode = function (v) { return split && v !== source && v !== target ? 'in\x01' + v : v }
+  const outNode = function (v) { return split && v !== source && v !== target ? 'out\x01' + v : v }
+
+  const addArc = function (from, to, label) {
+    network.setEdge(from, to, label, String(count++))
+  }
+
+  _.each(g.nodes(), function (v) {
+    network.setNode(inNode(v))
+    network.setNode(outNode(v))
+    if (inNode(v) !== outNode(v)) {
+      addArc(inNode(v), outNode(v), {cost: 0})
+    }
+  })
+
+  _.each(g.edges(), function (edge) {
+    const cost = weightFn(edge)
+    if (cost < 0) {
+      throw new Error('disjointPaths does not allow negative edge weights. ' +
+                      'Bad edge: ' + edge + ' Weight: ' + cost)
+    }
+
+    _.each(g.isDirected() ? [[edge.v, edge.w]] : [[edge.v, edge.w], [edge.w, edge.v]], function (ends) {
+      if (ends[1] !== source && ends[0] !== target && ends[0] !== ends[1]) {
+        addArc(outNode(ends[0]), inNode(ends[1]), {cost: cost, edge: edge, to: ends[1]})
+      }
+    })
+  })
+
+  return network
+}
+
+/*
+ * Residual edges leaving **v**: arcs without flow can be followed forwards and
+ * arcs carrying flow can be followed backwards, which cancels that flow.
+ */
+function residualEdges (network, flow, potential) {
+  return function (v) {
+    const forward = _.filter(network.outEdges(v), function (arc) {
+      return !flow[arc.name] && potential[arc.w] !== Number.POSITIVE_INFINITY
+    })
+    const backward = _.filter(network.inEdges(v), function (arc) {
+      return flow[arc.name]
+    })
+
+    return _.map(forward, function (arc) {
+      return {arc: arc, v: v, w: arc.w}
+    }).concat(_.map(backward, function (arc) {
+      return {arc: arc, reverse: true, v: v, w: arc.v}
+    }))
+  }
+}
+
+/*
+ * Residual edge weights reduced by the node potentials, which keeps them non
+ * negative so that dijkstra can be used on the residual network.
+ */
+function reducedWeight (network, potential) {
+  return function (residual) {
+    const cost = network.edge(residual.arc).cost
+    const reduced = (residual.reverse ? -cost : cost) + potential[residual.v] - potential[residual.w]
+
+    // Guard against rounding errors pushing a zero weight below zero
+    return Math.max(0, reduced)
+  }
+}
+
+/*
+ * Finds the cheapest augmenting path through the residual network and pushes
+ * one unit of flow along it. Returns the node potentials to use for the next
+ * augmentation, or null when the target cannot be reached.
+ */
+function augment (network, source, target, flow, potential) {
+  const edgeFn = residualEdges(network, flow, potential)
+  const weightFn = reducedWeight(network, potential)
+  const distances = dijkstra(network, source, weightFn, edgeFn)
+  const result = pathTo(distances, source, target)
+
+  if (!result) {
+    return null
+  }
+
+  _.each(_.tail(result.path), function (w, i) {
+    const residual = _.minBy(_.filter(edgeFn(result.path[i]), {w: w}), weightFn)
+    flow[residual.arc.name] = !residual.reverse
+  })
+
+  return _.mapValues(distances, function (entry, v) {
+    return entry.distance + potential[v]
+  })
+}
+
+/*
+ * Both arcs of an undirected edge can only carry flow at the same time when
+ * the edge has no weight. The two flows cancel out, so drop them.
+ */
+function cancelOpposingFlow (network, flow) {
+  _.each(network.edges(), function (arc) {
+    const edge = network.edge(arc).edge
+    const opposite = _.find(network.outEdges(arc.w, arc.v), function (other) {
+      return flow[other.name] && network.edge(other).edge === edge
+    })
+
+    if (edge && flow[arc.name] && opposite) {
+      flow[arc.name] = flow[opposite.name] = false
+    }
+  })
+}
+
+/*
+ * Follows, and consumes, the arcs carrying flow out of **source** to recover
+ * one of the paths.
+ */
+function extractPath (network, source, target, flow) {
+  const result = {distance: 0, edges: [], path: [source]}
+
+  for (let v = source; v !== target;) {
+    const arc = _.find(network.outEdges(v), function (arc) { return flow[arc.name] })
+    const label = network.edge(arc)
+
+    flow[arc.name] = false
+    if (label.edge) {
+      result.distance += label.cost
+      result.edges.push(label.edge)
+      result.path.push(label.to)
+    }
+    v = arc.w
+  }
+
+  return result
+}
+
+function validate (g, source, target, mode) {
+  if (!_.includes(MODES, mode)) {
+    throw new Error('Unknown disjoint paths mode: ' + mode)
+  }
+
+  _.each([source, target], function (v) {
+    if (!g.hasNode(v)) {
+      throw new Error('Graph does not have node: ' + v)
+    }
+  })
+
+  if (source === target) {
+    throw new Error('Source and target must be different nodes: ' + source)
+  }
+}
+
+/**
+ * Finds the pair of disjoint paths from **source** to **target** with the
+ * lowest combined distance using Suurballe's algorithm. In "edge" mode the
+ * paths may share nodes but no edges; in "node" mode they share no nodes other
+ * than the source and target.
+ * @param {Graph} g - graph to search
+ * @param {String} source - node to start from
+ * @param {String} target - node to find paths to
+ * @param {Object} [opts] - options
+ * @param {String} [opts.mode] - "edge" or "node", defaults to "edge"
+ * @param {Function} [opts.weightFn] - returns the weight of an edge, defaults to 1
+ * @returns {Object} the combined `distance` and the two `paths`, shortest first, or null if no pair exists
+ */
+export default function (g, source, target, opts) {
+  source = String(source)
+  target = String(target)
+  opts = _.defaults({}, opts, {mode: 'edge', weightFn: DEFAULT_WEIGHT_FUNC})
+  validate(g, source, target, opts.mode)
+
+  const network = buildNetwork(g, source, target, opts.mode, opts.weightFn)
+  const flow = {}
+  const potential = _.mapValues(_.keyBy(network.nodes()), _.constant(0))
+
+  const distances = augment(network, source, target, flow, potential)
+  if (!distances || !augment(network, source, target, flow, distances)) {
+    return null
+  }
+
+  cancelOpposingFlow(network, flow)
+
+  const paths = _.sortBy([
+    extractPath(network, source, target, flow),
+    extractPath(network, source, target, flow)
+  ], 'distance')
+
+  return {
+    distance: paths[0].distance + paths[1].distance,
+    paths: paths
+  }
+}
@@ -0,0 +1,26 @@
+import _ from 'lodash'
+import Graph from '../graph'
+import dominators from './dominators'
+
+/**
+ * Builds the dominator tree of the nodes reachable from **root**, which has
+ * an edge from the immediate dominator of each node to the node. Node labels
+ * are copied from the original graph.
+ * @param {Graph} g - directed graph to analyze
+ * @param {String} root - node all paths start from
+ * @param {Object} [opts] - options
+ * @param {Boolean} [opts.reverse] - follow edges backwards to build the post dominator tree
+ * @returns {Graph} the dominator tree, rooted at **root**
+ */
+export default function (g, root, opts) {
+  const idom = dominators(g, root, opts)
+  const tree = new Graph()
+
+  tree.setNode(root, g.node(root))
+  _.each(idom, function (dominator, v) {
+    tree.setNode(v, g.node(v))
+    tree.setEdge(dominator, v)
+  })
+
+  return tree
+}
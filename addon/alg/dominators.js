@@ -0,0 +1,97 @@
+import _ from 'lodash'
+
+/*
+ * Lists the nodes reachable from **root** in reverse postorder, walking the
+ * graph iteratively so that long chains do not overflow the stack.
+ */
+function reversePostorder (root, next) {
+  const visited = {}
+  const order = []
+  const stack = [{i: 0, next: next(root), v: root}]
+  visited[root] = true
+
+  while (stack.length) {
+    const frame = _.last(stack)
+    const w = frame.next[frame.i++]
+    if (frame.i > frame.next.length) {
+      order.push(stack.pop().v)
+    } else if (!_.has(visited, w)) {
+      visited[w] = true
+      stack.push({i: 0, next: next(w), v: w})
+    }
+  }
+
+  return order.reverse()
+}
+
+/*
+ * Walks up the dominator tree built so far from both nodes until they meet.
+ * Nodes earlier in reverse postorder are closer to the root.
+ */
+function intersect (idom, index, v, w) {
+  while (v !== w) {
+    while (index[v] > index[w]) {
+      v = idom[v]
+    }
+    while (index[w] > index[v]) {
+      w = idom[w]
+    }
+  }
+  return v
+}
+
+function nearestCommonDominator (idom, index, preds) {
+  const processed = _.filter(preds, function (u) { return _.has(idom, u) })
+  return _.reduce(_.tail(processed), function (acc, u) {
+    return intersect(idom, index, acc, u)
+  }, processed[0])
+}
+
+function validate (g, root) {
+  if (!g.hasNode(root)) {
+    throw new Error('Graph does not have node: ' + root)
+  }
+
+  if (!g.isDirected()) {
+    throw new Error('Dominators are only defined for directed graphs')
+  }
+}
+
+/**
+ * Finds the immediate dominator of every node reachable from **root** using
+ * the Cooper, Harvey and Kennedy algorithm. A node dominates another when
+ * every path from the root to the other node passes through it. With the
+ * reverse option the edges are followed backwards, which gives the post
+ * dominators of a graph where **root** is the exit node.
+ * @param {Graph} g - directed graph to analyze
+ * @param {String} root - node all paths start from
+ * @param {Object} [opts] - options
+ * @param {Boolean} [opts.reverse] - follow edges backwards to find post dominators
+ * @returns {Object} the immediate dominator of each reachable node other than the root
+ */
+export default function (g, root, opts) {
+  validate(g, root)
+
+  root = String(root)
+  const reverse = opts && opts.reverse
+  const next = (reverse ? g.predecessors : g.successors).bind(g)
+  const prev = (reverse ? g.successors : g.predecessors).bind(g)
+  const order = reversePostorder(root, next)
+  const index = _.zipObject(order, _.range(order.length))
+  const idom = {}
+  let changed = true
+
+  idom[root] = root
+  while (changed) {
+    changed = false
+    _.each(_.tail(order), function (v) {
+      const dominator = nearestCommonDominator(idom, index, prev(v))
+      if (idom[v] !== dominator) {
+        idom[v] = dominator
+        changed = true
+      }
+    })
+  }
+
+  return _.omit(idom, root)
+}
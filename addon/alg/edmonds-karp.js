@@ -0,0 +1,107 @@
+import _ from 'lodash'
+
+function otherEnd (arc, v) {
+  return arc.edge.v !== v ? arc.edge.v : arc.edge.w
+}
+
+/*
+ * Capacity left on **arc** for flow leaving **v**. Flow along an undirected
+ * edge is negative when it runs from edge.w to edge.v.
+ */
+function residual (arc, v) {
+  return arc.edge.v === v ? arc.capacity - arc.flow : arc.flow - arc.lower
+}
+
+function buildNetwork (g, capacityFn) {
+  const arcs = []
+  const incident = _.transform(g.nodes(), function (acc, v) { acc[v] = [] }, {})
+
+  _.each(g.edges(), function (edge) {
+    const capacity = capacityFn(edge)
+    if (capacity < 0) {
+      throw new Error('Edge capacities must not be negative. ' +
+                      'Bad edge: ' + edge + ' Capacity: ' + capacity)
+    }
+
+    const arc = {capacity: capacity, edge: edge, flow: 0, lower: g.isDirected() ? 0 : -capacity}
+    arcs.push(arc)
+    if (edge.v !== edge.w) {
+      incident[edge.v].push(arc)
+      incident[edge.w].push(arc)
+    }
+  })
+
+  return {arcs: arcs, incident: incident}
+}
+
+/*
+ * Breadth first search through the residual network. Returns the arc used to
+ * reach each visited node, so the shortest augmenting path can be read back
+ * from the sink.
+ */
+function search (network, source, sink) {
+  const parents = {}
+  const queue = [source]
+  parents[source] = null
+
+  while (queue.length && !_.has(parents, sink)) {
+    const v = queue.shift()
+    _.each(network.incident[v], function (arc) {
+      const w = otherEnd(arc, v)
+      if (!_.has(parents, w) && residual(arc, v) > 0) {
+        parents[w] = arc
+        queue.push(w)
+      }
+    })
+  }
+
+  return parents
+}
+
+function augment (parents, sink) {
+  const steps = []
+  for (let w = sink; parents[w]; w = otherEnd(parents[w], w)) {
+    steps.push({arc: parents[w], v: otherEnd(parents[w], w)})
+  }
+
+  const bottleneck = _.min(_.map(steps, function (step) {
+    return residual(step.arc, step.v)
+  }))
+
+  _.each(steps, function (step) {
+    step.arc.flow += step.arc.edge.v === step.v ? bottleneck : -bottleneck
+  })
+}
+
+/*
+ * Computes a maximum flow with the Edmonds-Karp algorithm. Returns the flow on
+ * every edge along with the nodes still reachable from the source in the
+ * final residual network, which form the source side of a minimum cut.
+ */
+export default function (g, source, sink, capacityFn) {
+  _.each([source, sink], function (v) {
+    if (!g.hasNode(v)) {
+      throw new Error('Graph does not have node: ' + v)
+    }
+  })
+
+  if (source === sink) {
+    throw new Error('Source and sink must be different nodes: ' + source)
+  }
+
+  const network = buildNetwork(g, capacityFn)
+  let parents = search(network, source, sink)
+
+  while (_.has(parents, sink)) {
+    augment(parents, sink)
+    parents = search(network, source, sink)
+  }
+
+  return {
+    arcs: network.arcs,
+    reachable: _.keys(parents),
+    value: _.sumBy(network.incident[source], function (arc) {
+      return arc.edge.v === source ? arc.flow : -arc.flow
+    })
+  }
+}
@@ -0,0 +1,68 @@
+import _ from 'lodash'
+import components from './components'
+
+/*
+ * How many more edges leave a node than enter it in a directed graph, or in
+ * an undirected graph whether its degree is odd. Self loops count twice
+ * towards the degree.
+ */
+function imbalance (g, v) {
+  if (g.isDirected()) {
+    return g.outEdges(v).length - g.inEdges(v).length
+  }
+  return g.nodeEdges(v).length % 2
+}
+
+function hasEdges (g, v) {
+  return g.nodeEdges(v).length > 0
+}
+
+/*
+ * Whether all the nodes with edges are in a single weakly connected component.
+ */
+function edgesConnected (g) {
+  return _.filter(components(g), function (cmpt) {
+    return hasEdges(g, cmpt[0])
+  }).length <= 1
+}
+
+/*
+ * Nodes where a walk using every edge once can start, if it must start at
+ * particular nodes because it cannot end where it starts.
+ */
+function pathStarts (g, unbalanced) {
+  if (unbalanced.length !== 2) {
+    return null
+  }
+
+  if (!g.isDirected()) {
+    return unbalanced
+  }
+
+  const start = _.find(unbalanced, function (v) { return imbalance(g, v) === 1 })
+  const end = _.find(unbalanced, function (v) { return imbalance(g, v) === -1 })
+  return start && end ? [start] : null
+}
+
+/*
+ * Shared by the Eulerian algorithms: checks whether there is a walk that uses
+ * every edge exactly once. Returns null if there is none, otherwise whether
+ * the walk can be a `circuit` that ends where it started and the nodes it can
+ * `start` from.
+ */
+export default function (g) {
+  if (!edgesConnected(g)) {
+    return null
+  }
+
+  const unbalanced = _.filter(g.nodes(), function (v) { return imbalance(g, v) !== 0 })
+  if (!unbalanced.length) {
+    return {
+      circuit: true,
+      starts: _.filter(g.nodes(), function (v) { return hasEdges(g, v) })
+    }
+  }
+
+  const starts = pathStarts(g, unbalanced)
+  return starts ? {circuit: false, starts: starts} : null
+}
@@ -0,0 +1,89 @@
+import _ from 'lodash'
+import euler from './euler'
+
+function edgeKey (edge) {
+  return [edge.v, edge.w, edge.name].join('\x01')
+}
+
+/*
+ * Edges leaving each node. A self loop is listed twice by nodeEdges in an
+ * undirected graph, but can only be walked once.
+ */
+function incidentEdges (g) {
+  const edgeFn = (g.isDirected() ? g.outEdges : g.nodeEdges).bind(g)
+  return _.mapValues(_.keyBy(g.nodes()), function (v) {
+    return _.uniqBy(edgeFn(v), edgeKey)
+  })
+}
+
+/*
+ * Returns the next unused edge leaving **v**, skipping the edges already
+ * walked from the other end.
+ */
+function nextEdge (incident, used, v) {
+  const edges = incident[v]
+  while (edges.length && _.has(used, edgeKey(_.last(edges)))) {
+    edges.pop()
+  }
+  return edges.pop()
+}
+
+/*
+ * Hierholzer's algorithm: follows unused edges until stuck, then backs up to
+ * the last node with unused edges and splices in the detour from there.
+ */
+function hierholzer (g, start) {
+  const incident = incidentEdges(g)
+  const used = {}
+  const stack = [{v: start}]
+  const walk = []
+
+  while (stack.length) {
+    const top = _.last(stack)
+    const edge = nextEdge(incident, used, top.v)
+    if (edge) {
+      used[edgeKey(edge)] = true
+      stack.push({edge: edge, v: edge.v !== top.v ? edge.v : edge.w})
+    } else {
+      walk.push(stack.pop())
+    }
+  }
+
+  walk.reverse()
+  return {
+    edges: _.map(_.tail(walk), 'edge'),
+    path: _.map(walk, 'v')
+  }
+}
+
+/*
+ * Checks that the walk can start at **start**, or picks a node it can start
+ * at. Returns null if there is no walk from there.
+ */
+function startOf (g, start) {
+  const starts = (euler(g) || {starts: []}).starts
+  start = _.isUndefined(start) ? starts[0] : String(start)
+  return _.includes(starts, start) ? start : null
+}
+
+/**
+ * Finds an Eulerian path using Hierholzer's algorithm: a walk that uses every
+ * edge exactly once. When every node is balanced the walk is a circuit that
+ * returns to the start. Parallel multigraph edges are walked separately and
+ * told apart by their names.
+ * @param {Graph} g - graph to walk
+ * @param {String} [start] - node to start from, defaults to any node the walk can start from
+ * @returns {Object} the `edges` in walking order and the `path` of nodes, or null if no such walk starts at **start**
+ */
+export default function (g, start) {
+  if (!_.isUndefined(start) && !g.hasNode(start)) {
+    throw new Error('Graph does not have node: ' + start)
+  }
+
+  if (g.edgeCount() === 0) {
+    return {edges: [], path: _.map(_.reject([start], _.isUndefined), String)}
+  }
+
+  start = startOf(g, start)
+  return start === null ? null : hierholzer(g, start)
+}
@@ -0,0 +1,158 @@
+import _ from 'lodash'
+import PriorityQueue from '../data/priority-queue'
+
+function neighborsOf (g) {
+  return _.zipObject(g.nodes(), _.map(g.nodes(), function (v) {
+    return _.without(g.neighbors(v), v)
+  }))
+}
+
+function smallestFreeColor (neighbors, coloring, v) {
+  const taken = _.keyBy(_.map(neighbors[v], function (w) { return coloring[w] }))
+  let color = 0
+  while (_.has(taken, color)) {
+    color++
+  }
+  return color
+}
+
+function colorInOrder (neighbors, order) {
+  const coloring = {}
+  _.each(order, function (v) {
+    coloring[v] = smallestFreeColor(neighbors, coloring, v)
+  })
+  return coloring
+}
+
+function largestFirst (g) {
+  const neighbors = neighborsOf(g)
+  return colorInOrder(neighbors, _.sortBy(g.nodes(), function (v) {
+    return -neighbors[v].length
+  }))
+}
+
+/*
+ * Repeatedly takes out the node with the fewest neighbors left and colors the
+ * nodes in the reverse order, so every node has few colored neighbors when
+ * its turn comes. The nodes are kept in array buckets by the number of
+ * neighbors they have left, and each node's position in its bucket is kept
+ * too, so a node moves between buckets in constant time by swapping it with
+ * the last node of its bucket. Taking out a node lowers that number by one for
+ * each of its neighbors, so the smallest non empty bucket is never more than
+ * one below the last one used. This takes `O(|V| + |E|)` time.
+ */
+function smallestLast (g) {
+  const neighbors = neighborsOf(g)
+  const degree = {} // node left -> number of neighbors left
+  const position = {} // node left -> index in its bucket
+  const buckets = []
+  const order = []
+  let low = 0
+
+  const put = function (v, d) {
+    buckets[d] = buckets[d] || []
+    position[v] = buckets[d].length
+    buckets[d].push(v)
+    degree[v] = d
+  }
+
+  const take = function (v) {
+    const bucket = buckets[degree[v]]
+    const last = bucket.pop()
+    if (last !== v) {
+      bucket[position[v]] = last
+      position[last] = position[v]
+    }
+  }
+
+  _.each(g.nodes(), function (v) { put(v, neighbors[v].length) })
+
+  while (order.length < g.nodeCount()) {
+    while (_.isEmpty(buckets[low])) {
+      low++
+    }
+
+    const v = _.last(buckets[low])
+    take(v)
+    delete degree[v]
+    order.push(v)
+    _.each(neighbors[v], function (w) {
+      if (_.has(degree, w)) {
+        take(w)
+        put(w, degree[w] - 1)
+      }
+    })
+    low = Math.max(0, low - 1)
+  }
+
+  return colorInOrder(neighbors, order.reverse())
+}
+
+/*
+ * Brelaz's heuristic: the next node to color is the one whose neighbors
+ * already have the most distinct colors, the one with the most neighbors
+ * breaking ties. Saturation only ever grows, so the uncolored nodes are kept
+ * in a priority queue and moved up as their neighbors are colored. This takes
+ * `O((|V| + |E|) * log |V|)` time.
+ */
+function dsatur (g) {
+  const neighbors = neighborsOf(g)
+  const coloring = {}
+  const seen = {} // uncolored node -> colors of its neighbors
+  const saturation = {} // uncolored node -> number of colors seen
+  const pq = new PriorityQueue()
+  const rank = function (v) {
+    return -(saturation[v] * (g.nodeCount() + 1) + neighbors[v].length)
+  }
+
+  _.each(g.nodes(), function (v) {
+    seen[v] = {}
+    saturation[v] = 0
+    pq.add(v, rank(v))
+  })
+
+  while (pq.size() > 0) {
+    const v = pq.removeMin()
+    const color = coloring[v] = smallestFreeColor(neighbors, coloring, v)
+    delete seen[v]
+    _.each(neighbors[v], function (w) {
+      if (_.has(seen, w) && !_.has(seen[w], color)) {
+        seen[w][color] = true
+        saturation[w]++
+        pq.decrease(w, rank(w))
+      }
+    })
+  }
+
+  return coloring
+}
+
+const STRATEGIES = {
+  dsatur: dsatur,
+  'largest-first': largestFirst,
+  'smallest-last': smallestLast
+}
+
+/**
+ * Colors the nodes so that no two neighbors share a color, giving every node
+ * in turn the lowest color none of its neighbors has. The strategy decides
+ * the order of the nodes, which affects how many colors are needed; none of
+ * them is guaranteed to find the fewest. Edges are treated as undirected and
+ * self loops are ignored.
+ * @param {Graph} g - graph to color
+ * @param {Object} [opts] - options
+ * @param {String} [opts.strategy] - "largest-first", "dsatur" or "smallest-last", defaults to "largest-first"
+ * @returns {Object} the color, from 0, of each node as `coloring` and the number of colors used as `colorCount`
+ */
+export default function (g, opts) {
+  opts = _.defaults({}, opts, {strategy: 'largest-first'})
+  if (!_.has(STRATEGIES, opts.strategy)) {
+    throw new Error('Unknown coloring strategy: ' + opts.strategy)
+  }
+
+  const coloring = STRATEGIES[opts.strategy](g)
+  return {
+    colorCount: _.uniq(_.values(coloring)).length,
+    coloring: coloring
+  }
+}
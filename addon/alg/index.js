@@ -0,0 +1,150 @@
+import allPathsFrom from './all-paths-from'
+import articulationPoints from './articulation-points'
+import astar from './astar'
+import bellmanFord from './bellman-ford'
+import betweennessCentrality from './betweenness-centrality'
+import bfs from './bfs'
+import biconnectedComponents from './biconnected-components'
+import bridges from './bridges'
+import chinesePostman from './chinese-postman'
+import closenessCentrality from './closeness-centrality'
+import components from './components'
+import condensation from './condensation'
+import degreeCentrality from './degree-centrality'
+import dijkstra from './dijkstra'
+import dijkstraAll from './dijkstra-all'
+import disjointPaths from './disjoint-paths'
+import dominatorTree from './dominator-tree'
+import dominators from './dominators'
+import eulerianPath from './eulerian-path'
+import findCycles from './find-cycles'
+import floydWarshall from './floyd-warshall'
+import greedyColoring from './greedy-coloring'
+import isAcyclic from './is-acyclic'
+import isBipartite from './is-bipartite'
+import isEulerian from './is-eulerian'
+import isIsomorphic from './is-isomorphic'
+import kShortestPaths from './k-shortest-paths'
+import kruskal from './kruskal'
+import labelPropagation from './label-propagation'
+import louvain from './louvain'
+import maxBipartiteMatching from './max-bipartite-matching'
+import maxFlow from './max-flow'
+import minCostBipartiteMatching from './min-cost-bipartite-matching'
+import minCut from './min-cut'
+import pageRank from './page-rank'
+import pathTo from './path-to'
+import postorder from './postorder'
+import preorder from './preorder'
+import preorderIter from './preorder-iter'
+import prim from './prim'
+import reachabilityIndex from './reachability-index'
+import simpleCycles from './simple-cycles'
+import subgraphMatches from './subgraph-matches'
+import tarjan from './tarjan'
+import topologicalLayers from './topological-layers'
+import topsort from './topsort'
+import transitiveClosure from './transitive-closure'
+import transitiveReduction from './transitive-reduction'
+
+export {
+  allPathsFrom,
+  articulationPoints,
+  astar,
+  bellmanFord,
+  betweennessCentrality,
+  bfs,
+  biconnectedComponents,
+  bridges,
+  chinesePostman,
+  closenessCentrality,
+  components,
+  condensation,
+  degreeCentrality,
+  dijkstra,
+  dijkstraAll,
+  disjointPaths,
+  dominatorTree,
+  dominators,
+  eulerianPath,
+  findCycles,
+  floydWarshall,
+  greedyColoring,
+  isAcyclic,
+  isBipartite,
+  isEulerian,
+  isIsomorphic,
+  kShortestPaths,
+  kruskal,
+  labelPropagation,
+  louvain,
+  maxBipartiteMatching,
+  maxFlow,
+  minCostBipartiteMatching,
+  minCut,
+  pageRank,
+  pathTo,
+  postorder,
+  preorder,
+  preorderIter,
+  prim,
+  reachabilityIndex,
+  simpleCycles,
+  subgraphMatches,
+  tarjan,
+  topologicalLayers,
+  topsort,
+  transitiveClosure,
+  transitiveReduction
+}
+
+export default {
+  allPathsFrom,
+  articulationPoints,
+  astar,
+  bellmanFord,
+  betweennessCentrality,
+  bfs,
+  biconnectedComponents,
+  bridges,
+  chinesePostman,
+  closenessCentrality,
+  components,
+  condensation,
+  degreeCentrality,
+  dijkstra,
+  dijkstraAll,
+  disjointPaths,
+  dominatorTree,
+  dominators,
+  eulerianPath,
+  findCycles,
+  floydWarshall,
+  greedyColoring,
+  isAcyclic,
+  isBipartite,
+  isEulerian,
+  isIsomorphic,
+  kShortestPaths,
+  kruskal,
+  labelPropagation,
+  louvain,
+  maxBipartiteMatching,
+  maxFlow,
+  minCostBipartiteMatching,
+  minCut,
+  pageRank,
+  pathTo,
+  postorder,
+  preorder,
+  preorderIter,
+  prim,
+  reachabilityIndex,
+  simpleCycles,
+  subgraphMatches,
+  tarjan,
+  topologicalLayers,
+  topsort,
+  transitiveClosure,
+  transitiveReduction
+}
@@ -0,0 +1,63 @@
+import _ from 'lodash'
+
+/*
+ * Joins the breadth first search tree paths from two nodes with the same
+ * color, which are at the same depth, into an odd cycle.
+ */
+function oddCycle (parent, v, w) {
+  const fromV = [v]
+  const fromW = [w]
+  while (v !== w) {
+    v = parent[v]
+    w = parent[w]
+    fromV.push(v)
+    fromW.push(w)
+  }
+  return fromV.concat(_.tail(fromW.reverse()))
+}
+
+/*
+ * Colors the component of **root** breadth first, alternating colors between
+ * depths. Returns an odd cycle if two neighbors end up with the same color.
+ */
+function colorComponent (g, root, coloring) {
+  const parent = {}
+  const queue = [root]
+  coloring[root] = 0
+
+  while (queue.length) {
+    const v = queue.shift()
+    const clash = _.find(g.neighbors(v), function (w) {
+      if (!_.has(coloring, w)) {
+        coloring[w] = 1 - coloring[v]
+        parent[w] = v
+        queue.push(w)
+      }
+      return coloring[w] === coloring[v]
+    })
+
+    if (clash !== undefined) {
+      return oddCycle(parent, v, clash)
+    }
+  }
+}
+
+/**
+ * Checks whether the nodes can be split into two sides so that every edge
+ * joins nodes on different sides. Edges are treated as undirected. When the
+ * graph is bipartite the result has the side, 0 or 1, of each node. Otherwise
+ * it has an odd cycle, which proves that no such split exists.
+ * @param {Graph} g - graph to check
+ * @returns {Object} `bipartite`, and either the `coloring` of the nodes or a `cycle` of nodes
+ */
+export default function (g) {
+  const coloring = {}
+  let cycle
+
+  _.find(g.nodes(), function (v) {
+    cycle = _.has(coloring, v) ? undefined : colorComponent(g, v, coloring)
+    return cycle
+  })
+
+  return cycle ? {bipartite: false, cycle: cycle} : {bipartite: true, coloring: coloring}
+}
@@ -0,0 +1,14 @@
+import euler from './euler'
+
+/**
+ * Checks whether **g** has an Eulerian circuit: a closed walk that uses every
+ * edge exactly once. In a directed graph every node needs as many edges in as
+ * out, in an undirected graph every node needs an even degree, and in both
+ * the nodes with edges must be connected. Nodes without edges are ignored.
+ * @param {Graph} g - graph to check
+ * @returns {Boolean} whether the graph has an Eulerian circuit
+ */
+export default function (g) {
+  const result = euler(g)
+  return Boolean(result && result.circuit)
+}
@@ -0,0 +1,30 @@
+import vf2 from './vf2'
+
+/**
+ * Checks whether two graphs have the same structure, that is whether their
+ * nodes can be paired up so that every edge of one graph connects the partners
+ * of the nodes an edge of the other graph connects. The first such pairing
+ * found is returned. Labels are ignored unless comparators are given for them.
+ *
+ * In multigraphs edgeMatch is called with the labels of all the parallel
+ * edges between the two pairs of nodes.
+ * @param {Graph} g1 - first graph
+ * @param {Graph} g2 - second graph
+ * @param {Object} [opts] - options
+ * @param {Function} [opts.nodeMatch] - returns whether a node label of g1 matches a node label of g2
+ * @param {Function} [opts.edgeMatch] - returns whether an edge label of g1 matches an edge label of g2
+ * @returns {Object} the g1 node each g2 node is paired with, or null if the graphs are not isomorphic
+ */
+export default function (g1, g2, opts) {
+  if (g1.nodeCount() !== g2.nodeCount() || g1.edgeCount() !== g2.edgeCount()) {
+    return null
+  }
+
+  let found = null
+  vf2(g1, g2, 'isomorphism', opts || {}, function (mapping) {
+    found = mapping
+    return false
+  })
+
+  return found
+}
@@ -0,0 +1,129 @@
+import _ from 'lodash'
+import dijkstra from './dijkstra'
+import pathTo from './path-to'
+
+const DEFAULT_WEIGHT_FUNC = _.constant(1)
+
+function edgeKey (edge) {
+  return [edge.v, edge.w, edge.name].join('\x01')
+}
+
+function edgesKey (edges) {
+  return _.map(edges, edgeKey).join('\x02')
+}
+
+/*
+ * Runs dijkstra from **source** while ignoring the removed nodes and edges,
+ * then picks the cheapest remaining edge for every hop of the path found.
+ */
+function shortestPath (g, source, target, weightFn, removedNodes, removedEdges) {
+  const edgeFn = function (v) {
+    const edges = g.isDirected() ? g.outEdges(v) : g.nodeEdges(v)
+    return _.filter(edges, function (edge) {
+      const w = edge.v !== v ? edge.v : edge.w
+      return !_.has(removedNodes, w) && !_.has(removedEdges, edgeKey(edge))
+    })
+  }
+
+  const result = pathTo(dijkstra(g, source, weightFn, edgeFn), source, target)
+  if (!result) {
+    return null
+  }
+
+  const edges = _.map(_.tail(result.path), function (w, i) {
+    const v = result.path[i]
+    return _.minBy(_.filter(edgeFn(v), function (edge) {
+      return (edge.v !== v ? edge.v : edge.w) === w
+    }), weightFn)
+  })
+
+  return {
+    distance: result.distance,
+    edges: edges,
+    path: result.path
+  }
+}
+
+/*
+ * Deviates from **last** at each of its nodes in turn and queues every new
+ * loopless path found as a candidate for the next shortest path.
+ */
+function addSpurPaths (g, target, weightFn, paths, last, candidates, seen) {
+  _.each(_.initial(last.path), function (spur, i) {
+    const rootEdges = _.take(last.edges, i)
+    const rootKey = edgesKey(rootEdges)
+    const removedEdges = {}
+    const removedNodes = _.keyBy(_.take(last.path, i))
+
+    _.each(paths, function (p) {
+      if (p.edges.length > i && edgesKey(_.take(p.edges, i)) === rootKey) {
+        removedEdges[edgeKey(p.edges[i])] = true
+      }
+    })
+
+    const spurPath = shortestPath(g, spur, target, weightFn, removedNodes, removedEdges)
+    if (!spurPath) {
+      return
+    }
+
+    const candidate = {
+      distance: _.sumBy(rootEdges, weightFn) + spurPath.distance,
+      edges: rootEdges.concat(spurPath.edges),
+      path: _.take(last.path, i).concat(spurPath.path)
+    }
+
+    const key = edgesKey(candidate.edges)
+    if (!_.has(seen, key)) {
+      seen[key] = true
+      candidates.push(candidate)
+    }
+  })
+}
+
+function removeCheapest (candidates) {
+  if (candidates.length === 0) {
+    return null
+  }
+
+  const cheapest = _.minBy(candidates, 'distance')
+  candidates.splice(_.indexOf(candidates, cheapest), 1)
+  return cheapest
+}
+
+/**
+ * Finds up to **k** loopless paths from **source** to **target** in order of
+ * increasing distance using Yen's algorithm. Paths that only differ in which
+ * of a set of parallel multigraph edges they take are considered distinct.
+ * @param {Graph} g - graph to search
+ * @param {String} source - node to start from
+ * @param {String} target - node to find paths to
+ * @param {Number} k - maximum number of paths to return
+ * @param {Function} [weightFn] - returns the weight of an edge, defaults to 1
+ * @returns {Object[]} the `distance`, the `path` of nodes and the `edges` along each path
+ */
+export default function (g, source, target, k, weightFn) {
+  source = String(source)
+  target = String(target)
+
+  _.each([source, target], function (v) {
+    if (!g.hasNode(v)) {
+      throw new Error('Graph does not have node: ' + v)
+    }
+  })
+
+  weightFn = weightFn || DEFAULT_WEIGHT_FUNC
+
+  const paths = []
+  const candidates = []
+  const seen = {}
+  let last = shortestPath(g, source, target, weightFn, {}, {})
+
+  while (last && paths.length < k) {
+    seen[edgesKey(last.edges)] = true
+    paths.push(last)
+    addSpurPaths(g, target, weightFn, paths, last, candidates, seen)
+    last = removeCheapest(candidates)
+  }
+
+  return paths
+}
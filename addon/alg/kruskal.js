@@ -0,0 +1,36 @@
+import _ from 'lodash'
+import UnionFind from '../data/union-find'
+import Graph from '../graph'
+
+/**
+ * Finds a minimum spanning tree with Kruskal's algorithm. Edges are treated
+ * as undirected. By default a disconnected graph is an error; with the
+ * `forest` option a minimum spanning forest, one tree per connected
+ * component, is returned instead.
+ * @param {Graph} g - graph to span
+ * @param {Function} weightFunc - returns the weight of an edge
+ * @param {Object} [opts] - options
+ * @param {Boolean} [opts.forest] - whether to return a forest for disconnected graphs
+ * @returns {Graph} the spanning tree or forest
+ */
+export default function (g, weightFunc, opts) {
+  const result = new Graph()
+  const sets = new UnionFind()
+
+  _.each(g.nodes(), function (v) {
+    sets.add(v)
+    result.setNode(v)
+  })
+
+  _.each(_.sortBy(g.edges(), weightFunc), function (edge) {
+    if (sets.union(edge.v, edge.w)) {
+      result.setEdge(edge.v, edge.w)
+    }
+  })
+
+  if (!_.get(opts, 'forest') && result.nodeCount() - result.edgeCount() > 1) {
+    throw new Error('Input graph is not connected: ' + g)
+  }
+
+  return result
+}
@@ -0,0 +1,74 @@
+import _ from 'lodash'
+import communities from './communities'
+import greedyColoring from './greedy-coloring'
+
+/*
+ * Splits the nodes into groups of nodes that are not neighbors of each other,
+ * one for each color of a greedy coloring.
+ */
+function independentSets (g) {
+  const coloring = greedyColoring(g).coloring
+  const sets = []
+
+  _.each(g.nodes(), function (v) {
+    const color = coloring[v]
+    sets[color] = sets[color] || []
+    sets[color].push(v)
+  })
+
+  return sets
+}
+
+/*
+ * The labels held by most neighbors of **v**, ignoring self loops.
+ */
+function commonestLabels (g, labels, v) {
+  const counts = _.countBy(_.without(g.neighbors(v), v), function (w) {
+    return labels[w]
+  })
+  const most = _.max(_.values(counts))
+
+  return _.map(_.filter(_.keys(counts), function (label) {
+    return counts[label] === most
+  }), Number)
+}
+
+/*
+ * A node keeps its label when it is one of the commonest, otherwise ties go
+ * to the highest label so that the result does not depend on chance.
+ */
+function nextLabel (g, labels, v) {
+  const candidates = commonestLabels(g, labels, v)
+  return _.isEmpty(candidates) || _.includes(candidates, labels[v]) ? labels[v] : _.max(candidates)
+}
+
+/**
+ * Groups the nodes into communities by label propagation: every node starts
+ * with its own label and repeatedly adopts the label most of its neighbors
+ * have, until the labels settle. Edges are treated as undirected. The labels
+ * are updated in the semi-synchronous order of Cordasco and Gargano, which
+ * always settles and gives the same communities every time. The result also
+ * has the modularity of the communities found.
+ *
+ * If the setParent option is given the communities are also written back as
+ * parents of the nodes, as with louvain.
+ * @param {Graph} g - graph to cluster
+ * @param {Object} [opts] - options
+ * @param {Boolean|Function} [opts.setParent] - write the communities back as parents
+ * @returns {Object} the community id of each node, as `communities`, and the `modularity`
+ */
+export default function (g, opts) {
+  const labels = _.zipObject(g.nodes(), _.range(g.nodeCount()))
+  const sets = independentSets(g)
+  const settled = function (v) { return nextLabel(g, labels, v) === labels[v] }
+
+  while (!_.every(g.nodes(), settled)) {
+    _.each(sets, function (set) {
+      _.assign(labels, _.zipObject(set, _.map(set, function (v) {
+        return nextLabel(g, labels, v)
+      })))
+    })
+  }
+
+  return communities(g, labels, _.constant(1), opts || {})
+}
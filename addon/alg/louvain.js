@@ -0,0 +1,136 @@
+import _ from 'lodash'
+import communities from './communities'
+
+const DEFAULT_WEIGHT_FUNC = _.constant(1)
+
+/*
+ * The graph being clustered at the current level, as symmetric adjacency maps
+ * of edge weights. A self loop is only stored once, in adj[v][v].
+ */
+function buildLevel (g, weightFn) {
+  const adj = _.mapValues(_.keyBy(g.nodes()), function () { return {} })
+
+  _.each(g.edges(), function (edge) {
+    const weight = weightFn(edge)
+    adj[edge.v][edge.w] = (adj[edge.v][edge.w] || 0) + weight
+    if (edge.v !== edge.w) {
+      adj[edge.w][edge.v] = (adj[edge.w][edge.v] || 0) + weight
+    }
+  })
+
+  return adj
+}
+
+function degree (adj, v) {
+  return _.sum(_.values(adj[v])) + (adj[v][v] || 0)
+}
+
+/*
+ * Weight of the edges from **v** to each of the communities next to it.
+ */
+function linksOf (adj, community, v) {
+  const links = {}
+  _.each(adj[v], function (weight, w) {
+    if (w !== v) {
+      links[community[w]] = (links[community[w]] || 0) + weight
+    }
+  })
+  return links
+}
+
+/*
+ * Moves **v** to the neighboring community that improves the modularity the
+ * most, if any. Returns whether it moved.
+ */
+function moveNode (adj, community, totals, total, v) {
+  const k = degree(adj, v)
+  const links = linksOf(adj, community, v)
+  const own = community[v]
+  const gain = function (c) {
+    return (links[c] || 0) - totals[c] * k / (2 * total)
+  }
+
+  totals[own] -= k
+  const best = _.reduce(_.keys(links), function (acc, c) {
+    return gain(c) > gain(acc) ? c : acc
+  }, own)
+  totals[best] += k
+  community[v] = best
+
+  return best !== own
+}
+
+/*
+ * The first phase of Louvain: keeps moving single nodes between communities
+ * until no move improves the modularity.
+ */
+function moveNodes (adj, total) {
+  const community = _.mapValues(adj, function (edges, v) { return v })
+  const totals = _.mapValues(adj, function (edges, v) { return degree(adj, v) })
+  let moved = false
+  let changed = true
+
+  while (changed) {
+    changed = false
+    _.each(_.keys(adj), function (v) {
+      if (moveNode(adj, community, totals, total, v)) {
+        changed = moved = true
+      }
+    })
+  }
+
+  return moved ? community : null
+}
+
+/*
+ * The second phase of Louvain: builds the next level, with one node per
+ * community and the edges inside a community turned into a self loop.
+ */
+function aggregate (adj, community) {
+  const next = _.mapValues(_.invertBy(community), function () { return {} })
+
+  _.each(adj, function (edges, v) {
+    _.each(edges, function (weight, w) {
+      const cv = community[v]
+      const cw = community[w]
+      const share = cv === cw && v !== w ? weight / 2 : weight
+      next[cv][cw] = (next[cv][cw] || 0) + share
+    })
+  })
+
+  return next
+}
+
+/**
+ * Groups the nodes into communities using the Louvain method, which
+ * greedily maximizes the modularity: the share of the edge weight inside the
+ * communities compared to what would be expected at random. Edges are treated
+ * as undirected.
+ *
+ * If the setParent option is given the communities are also written back as
+ * parents of the nodes, which requires a compound graph. It is either a
+ * function returning the parent node for a community id, or `true` to name
+ * the parents "community-" followed by the id.
+ * @param {Graph} g - graph to cluster
+ * @param {Function} [weightFn] - returns the weight of an edge, defaults to 1
+ * @param {Object} [opts] - options
+ * @param {Boolean|Function} [opts.setParent] - write the communities back as parents
+ * @returns {Object} the community id of each node, as `communities`, and the `modularity`
+ */
+export default function (g, weightFn, opts) {
+  weightFn = weightFn || DEFAULT_WEIGHT_FUNC
+  opts = opts || {}
+
+  const total = _.sumBy(g.edges(), weightFn)
+  let adj = buildLevel(g, weightFn)
+  let membership = _.mapValues(adj, function (edges, v) { return v })
+  let community = total > 0 ? moveNodes(adj, total) : null
+
+  while (community) {
+    membership = _.mapValues(membership, function (c) { return community[c] })
+    adj = aggregate(adj, community)
+    community = moveNodes(adj, total)
+  }
+
+  return communities(g, membership, weightFn, opts)
+}
@@ -0,0 +1,81 @@
+import _ from 'lodash'
+import bipartite from './bipartite'
+
+/*
+ * Layers the left nodes by the length of the shortest alternating path to
+ * them from an unmatched left node. Returns whether any augmenting path
+ * exists.
+ */
+function layer (sides, state) {
+  const queue = []
+  let found = false
+
+  _.each(sides.left, function (v) {
+    state.dist[v] = _.has(state.mate, v) ? Number.POSITIVE_INFINITY : 0
+    if (state.dist[v] === 0) {
+      queue.push(v)
+    }
+  })
+
+  while (queue.length) {
+    const v = queue.shift()
+    _.each(sides.neighbors(v), function (w) {
+      const u = state.mate[w]
+      if (u === undefined) {
+        found = true
+      } else if (state.dist[u] === Number.POSITIVE_INFINITY) {
+        state.dist[u] = state.dist[v] + 1
+        queue.push(u)
+      }
+    })
+  }
+
+  return found
+}
+
+/*
+ * Looks for an augmenting path from **v** along the layers and flips the
+ * matching along it if one is found.
+ */
+function augment (sides, state, v) {
+  const w = _.find(sides.neighbors(v), function (w) {
+    const u = state.mate[w]
+    return u === undefined || (state.dist[u] === state.dist[v] + 1 && augment(sides, state, u))
+  })
+
+  if (w === undefined) {
+    state.dist[v] = Number.POSITIVE_INFINITY
+    return false
+  }
+
+  state.mate[v] = w
+  state.mate[w] = v
+  return true
+}
+
+/**
+ * Finds a maximum matching of a bipartite graph using the Hopcroft-Karp
+ * algorithm: the largest set of edges of which no two share a node. Edges are
+ * treated as undirected. If the nodes of one side are not given the sides are
+ * worked out from the graph, which must then be bipartite.
+ * @param {Graph} g - bipartite graph to match
+ * @param {String[]} [leftNodes] - the nodes on one side, the others being on the other side
+ * @returns {Object} the partner of each matched node on either side, as `matching`, and its `size`
+ */
+export default function (g, leftNodes) {
+  const sides = bipartite(g, leftNodes)
+  const state = {dist: {}, mate: {}}
+
+  while (layer(sides, state)) {
+    _.each(sides.left, function (v) {
+      if (!_.has(state.mate, v)) {
+        augment(sides, state, v)
+      }
+    })
+  }
+
+  return {
+    matching: state.mate,
+    size: _.size(state.mate) / 2
+  }
+}
@@ -0,0 +1,33 @@
+import _ from 'lodash'
+import Graph from '../graph'
+import edmondsKarp from './edmonds-karp'
+
+const DEFAULT_CAPACITY_FUNC = _.constant(1)
+
+/**
+ * Computes the maximum flow from **source** to **sink**. Parallel multigraph
+ * edges each carry their own capacity. For undirected graphs an edge can carry
+ * flow either way; its flow is negative when it runs from `w` to `v`.
+ * @param {Graph} g - graph to route flow through
+ * @param {String} source - node the flow leaves from
+ * @param {String} sink - node the flow arrives at
+ * @param {Function} [capacityFn] - returns the capacity of an edge, defaults to 1
+ * @returns {Object} the flow `value` and a `flow` graph labelling each edge with the flow it carries
+ */
+export default function (g, source, sink, capacityFn) {
+  const result = edmondsKarp(g, String(source), String(sink), capacityFn || DEFAULT_CAPACITY_FUNC)
+  const flow = new Graph({directed: g.isDirected(), multigraph: g.isMultigraph()})
+
+  _.each(g.nodes(), function (v) {
+    flow.setNode(v, g.node(v))
+  })
+
+  _.each(result.arcs, function (arc) {
+    flow.setEdge(arc.edge, arc.flow)
+  })
+
+  return {
+    flow: flow,
+    value: result.value
+  }
+}
@@ -0,0 +1,151 @@
+import _ from 'lodash'
+import bipartite from './bipartite'
+
+const DEFAULT_WEIGHT_FUNC = _.constant(1)
+
+/*
+ * Position of an edge in the cost matrix, unless it joins two nodes on the
+ * same side.
+ */
+function cellOf (sides, edge) {
+  const ends = _.has(sides.leftIndex, edge.v) ? [edge.v, edge.w] : [edge.w, edge.v]
+  if (_.has(sides.leftIndex, ends[0]) && _.has(sides.rightIndex, ends[1])) {
+    return sides.leftIndex[ends[0]] + ',' + sides.rightIndex[ends[1]]
+  }
+}
+
+/*
+ * Square cost matrix with a row per left node and a column per right node,
+ * padded with dummy rows or columns that cost nothing. Pairs without an edge
+ * cost more than any matching of real edges, so they are only used when no
+ * larger matching exists; parallel edges cost the lightest of them.
+ */
+function costMatrix (g, sides, weightFn) {
+  const size = Math.max(sides.left.length, sides.right.length)
+  const costs = {}
+  let missing = 1
+
+  _.each(g.edges(), function (edge) {
+    const weight = weightFn(edge)
+    const key = cellOf(sides, edge)
+
+    missing += Math.abs(weight)
+    if (key) {
+      costs[key] = _.has(costs, key) ? Math.min(costs[key], weight) : weight
+    }
+  })
+
+  const matrix = _.times(size, function (i) {
+    return _.times(size, function (j) {
+      const key = i + ',' + j
+      return i < sides.left.length && j < sides.right.length ? _.get(costs, [key], missing) : 0
+    })
+  })
+
+  return {matrix: matrix, missing: missing}
+}
+
+/*
+ * One step of the Hungarian algorithm: grows the alternating tree from the
+ * newest row by the column with the smallest reduced cost and updates the
+ * potentials. Returns that column.
+ */
+function growTree (matrix, state, used, minv) {
+  const i0 = state.p[state.j0]
+  let delta = Number.POSITIVE_INFINITY
+  let j1
+
+  _.each(_.range(1, matrix.length + 1), function (j) {
+    const reduced = matrix[i0 - 1][j - 1] - state.u[i0] - state.v[j]
+    if (!used[j] && reduced < minv[j]) {
+      minv[j] = reduced
+      state.way[j] = state.j0
+    }
+    if (!used[j] && minv[j] < delta) {
+      delta = minv[j]
+      j1 = j
+    }
+  })
+
+  _.each(_.range(matrix.length + 1), function (j) {
+    if (used[j]) {
+      state.u[state.p[j]] += delta
+      state.v[j] -= delta
+    } else {
+      minv[j] -= delta
+    }
+  })
+
+  return j1
+}
+
+/*
+ * Adds row **i** to the assignment, following the shortest augmenting path
+ * and reassigning the rows along it.
+ */
+function assignRow (matrix, state, i) {
+  const used = _.times(matrix.length + 1, _.constant(false))
+  const minv = _.times(matrix.length + 1, _.constant(Number.POSITIVE_INFINITY))
+
+  state.p[0] = i
+  state.j0 = 0
+  do {
+    used[state.j0] = true
+    state.j0 = growTree(matrix, state, used, minv)
+  } while (state.p[state.j0] !== 0)
+
+  do {
+    const j1 = state.way[state.j0]
+    state.p[state.j0] = state.p[j1]
+    state.j0 = j1
+  } while (state.j0)
+}
+
+/*
+ * Hungarian algorithm with potentials, which assigns a column to every row of
+ * a square cost matrix so that the total cost is the lowest possible. Rows
+ * and columns are numbered from 1 internally. Returns the row of each column.
+ */
+function hungarian (matrix) {
+  const zeros = function () { return _.times(matrix.length + 1, _.constant(0)) }
+  const state = {p: zeros(), u: zeros(), v: zeros(), way: zeros()}
+
+  _.each(_.range(1, matrix.length + 1), function (i) {
+    assignRow(matrix, state, i)
+  })
+
+  return _.map(_.tail(state.p), function (row) { return row - 1 })
+}
+
+/**
+ * Finds a maximum matching of a bipartite graph whose edges have the lowest
+ * total weight, using the Hungarian algorithm. This solves assignment
+ * problems such as giving each task to a different worker at the least cost.
+ * Edges are treated as undirected and weights may be negative. If the nodes
+ * of one side are not given the sides are worked out from the graph, which
+ * must then be bipartite.
+ * @param {Graph} g - bipartite graph to match
+ * @param {String[]} [leftNodes] - the nodes on one side, the others being on the other side
+ * @param {Function} [weightFn] - returns the weight of an edge, defaults to 1
+ * @returns {Object} the partner of each matched node on either side, as `matching`, its `size` and its total `weight`
+ */
+export default function (g, leftNodes, weightFn) {
+  const sides = bipartite(g, leftNodes)
+  sides.leftIndex = _.invert(sides.left)
+  sides.rightIndex = _.invert(sides.right)
+
+  const costs = costMatrix(g, sides, weightFn || DEFAULT_WEIGHT_FUNC)
+  const result = {matching: {}, size: 0, weight: 0}
+
+  _.each(hungarian(costs.matrix), function (i, j) {
+    const cost = costs.matrix[i][j]
+    if (i < sides.left.length && j < sides.right.length && cost !== costs.missing) {
+      result.matching[sides.left[i]] = sides.right[j]
+      result.matching[sides.right[j]] = sides.left[i]
+      result.size++
+      result.weight += cost
+    }
+  })
+
+  return result
+}
@@ -0,0 +1,31 @@
+import _ from 'lodash'
+import edmondsKarp from './edmonds-karp'
+
+const DEFAULT_CAPACITY_FUNC = _.constant(1)
+
+/**
+ * Computes a minimum cut separating **source** from **sink**, the cheapest set
+ * of edges whose removal disconnects them. Its capacity equals the maximum
+ * flow between the two nodes.
+ * @param {Graph} g - graph to cut
+ * @param {String} source - node on the source side of the cut
+ * @param {String} sink - node on the sink side of the cut
+ * @param {Function} [capacityFn] - returns the capacity of an edge, defaults to 1
+ * @returns {Object} the cut `value`, the cut `edges` and the two node `partitions`, source side first
+ */
+export default function (g, source, sink, capacityFn) {
+  const result = edmondsKarp(g, String(source), String(sink), capacityFn || DEFAULT_CAPACITY_FUNC)
+  const sourceSide = _.keyBy(result.reachable)
+
+  const edges = _.filter(g.edges(), function (edge) {
+    return g.isDirected()
+      ? _.has(sourceSide, edge.v) && !_.has(sourceSide, edge.w)
+      : _.has(sourceSide, edge.v) !== _.has(sourceSide, edge.w)
+  })
+
+  return {
+    edges: edges,
+    partitions: _.partition(g.nodes(), function (v) { return _.has(sourceSide, v) }),
+    value: result.value
+  }
+}
@@ -0,0 +1,56 @@
+import _ from 'lodash'
+
+/*
+ * Computes the next estimate of the ranks. Each node shares its rank evenly
+ * across its out edges, and nodes without any spread it over all nodes.
+ */
+function iterate (g, rank, damping, edgeFn) {
+  const n = g.nodeCount()
+  const dangling = _.sumBy(g.nodes(), function (v) {
+    return edgeFn(v).length ? 0 : rank[v]
+  })
+  const next = _.mapValues(rank, _.constant((1 - damping + damping * dangling) / n))
+
+  _.each(g.nodes(), function (v) {
+    const edges = edgeFn(v)
+    _.each(edges, function (edge) {
+      next[edge.v !== v ? edge.v : edge.w] += damping * rank[v] / edges.length
+    })
+  })
+
+  return next
+}
+
+/**
+ * Ranks the nodes by the chance of a random walk being at them, where the
+ * walk follows a random out edge of the current node or, with a probability
+ * of one minus the damping factor, jumps to a random node. Every edge of an
+ * undirected graph can be followed both ways. The ranks add up to 1.
+ * @param {Graph} g - graph to rank
+ * @param {Object} [opts] - options
+ * @param {Number} [opts.damping] - probability of following an edge, defaults to 0.85
+ * @param {Number} [opts.tolerance] - per node change at which the ranks are considered stable, defaults to 1e-6
+ * @param {Number} [opts.maxIterations] - stop after this many iterations even if not stable, defaults to 100
+ * @returns {Object} the rank of each node
+ */
+export default function (g, opts) {
+  opts = _.defaults({}, opts, {damping: 0.85, maxIterations: 100, tolerance: 1e-6})
+
+  const edgeFn = (g.isDirected() ? g.outEdges : g.nodeEdges).bind(g)
+  const n = g.nodeCount()
+  let rank = _.mapValues(_.keyBy(g.nodes()), _.constant(1 / n))
+
+  for (let i = 0; i < opts.maxIterations; i++) {
+    const next = iterate(g, rank, opts.damping, edgeFn)
+    const change = _.sumBy(g.nodes(), function (v) {
+      return Math.abs(next[v] - rank[v])
+    })
+
+    rank = next
+    if (change < n * opts.tolerance) {
+      break
+    }
+  }
+
+  return rank
+}
@@ -0,0 +1,79 @@
+import _ from 'lodash'
+
+/*
+ * All pairs results (floydWarshall, dijkstraAll) hold one row of entries per
+ * source, whereas single source results (dijkstra, bellmanFord) are the row.
+ */
+function entriesFor (result, source) {
+  const row = result[source]
+  if (row && _.has(row, source) && _.has(row[source], 'distance')) {
+    return row
+  }
+  return result
+}
+
+function walkPredecessors (entries, source, target) {
+  const path = [target]
+  const limit = _.size(entries)
+
+  for (let v = target; v !== source; v = entries[v].predecessor) {
+    if (!_.has(entries, v) || path.length > limit) {
+      throw new Error('Result has no path from ' + source + ' to ' + target)
+    }
+    path.push(entries[v].predecessor)
+  }
+
+  return path.reverse()
+}
+
+function resolveEdge (g, weightFn, v, w) {
+  let edges = g.isDirected() ? g.outEdges(v, w) : g.nodeEdges(v, w)
+
+  // The result may come from a search that walked edges backwards
+  if (_.isEmpty(edges)) {
+    edges = g.inEdges(v, w)
+  }
+
+  return weightFn ? _.minBy(edges, weightFn) : edges[0]
+}
+
+/**
+ * Reconstructs the path from **source** to **target** out of the predecessor
+ * table returned by dijkstra, bellmanFord, dijkstraAll or floydWarshall. When
+ * the graph is supplied the edges are looked up in it, so that multigraph edge
+ * names are kept; among parallel edges the one with the lowest weight wins.
+ * @param {Object} result - the shortest paths result to read from
+ * @param {String} source - node the paths were measured from
+ * @param {String} target - node to find the path to
+ * @param {Graph} [g] - graph the result was computed for
+ * @param {Function} [weightFn] - weight function the result was computed with
+ * @returns {Object} the `distance`, the `path` of nodes and the `edges` along it, or null if unreachable
+ */
+export default function (result, source, target, g, weightFn) {
+  source = String(source)
+  target = String(target)
+
+  const entries = entriesFor(result, source)
+  _.each([source, target], function (v) {
+    if (!_.has(entries, v)) {
+      throw new Error('Result does not have node: ' + v)
+    }
+  })
+
+  const distance = entries[target].distance
+  if (distance === Number.POSITIVE_INFINITY) {
+    return null
+  }
+
+  const path = walkPredecessors(entries, source, target)
+  const edges = _.map(_.tail(path), function (w, i) {
+    const v = path[i]
+    return g ? resolveEdge(g, weightFn, v, w) : {v: v, w: w}
+  })
+
+  return {
+    distance: distance,
+    edges: edges,
+    path: path
+  }
+}
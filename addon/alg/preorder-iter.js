@@ -0,0 +1,50 @@
+import _ from 'lodash'
+import iterator from '../iterator'
+
+/**
+ * Like preorder, but returns an iterator that visits the nodes one at a time
+ * as they are requested, so a traversal can be stopped early without walking
+ * the rest of the graph.
+ * @param {Graph} g - graph to traverse
+ * @param {String|String[]} vs - node or nodes to start from
+ * @returns {Object} an iterator over the nodes in the order they are visited
+ */
+export default function (g, vs) {
+  if (!_.isArray(vs)) {
+    vs = [vs]
+  }
+
+  _.each(vs, function (v) {
+    if (!g.hasNode(v)) {
+      throw new Error('Graph does not have node: ' + v)
+    }
+  })
+
+  const navigation = (g.isDirected() ? g.successors : g.neighbors).bind(g)
+  const visited = {}
+  const stack = [] // per node on the path: its neighbors and how many were tried
+  const roots = _.map(vs, String)
+
+  function enter (v) {
+    visited[v] = true
+    stack.push({i: 0, next: navigation(v)})
+    return {done: false, value: v}
+  }
+
+  return iterator(function () {
+    while (stack.length) {
+      const frame = _.last(stack)
+      if (frame.i < frame.next.length) {
+        const w = frame.next[frame.i++]
+        if (!_.has(visited, w)) {
+          return enter(w)
+        }
+      } else {
+        stack.pop()
+      }
+    }
+
+    const root = _.find(roots, function (v) { return !_.has(visited, v) })
+    return root === undefined ? {done: true, value: undefined} : enter(root)
+  })
+}
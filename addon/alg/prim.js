@@ -0,0 +1,64 @@
+import _ from 'lodash'
+import PriorityQueue from '../data/priority-queue'
+import Graph from '../graph'
+
+/**
+ * Finds a minimum spanning tree with Prim's algorithm. Edges are treated as
+ * undirected. By default a disconnected graph is an error; with the `forest`
+ * option a minimum spanning forest, one tree per connected component, is
+ * returned instead.
+ * @param {Graph} g - graph to span
+ * @param {Function} weightFunc - returns the weight of an edge
+ * @param {Object} [opts] - options
+ * @param {Boolean} [opts.forest] - whether to return a forest for disconnected graphs
+ * @returns {Graph} the spanning tree or forest
+ */
+export default function (g, weightFunc, opts) {
+  const forest = _.get(opts, 'forest', false)
+  const result = new Graph()
+  const parents = {}
+  const pq = new PriorityQueue()
+  let v
+
+  function updateNeighbors (edge) {
+    const w = edge.v === v ? edge.w : edge.v
+    const pri = pq.priority(w)
+    if (pri !== undefined) {
+      const edgeWeight = weightFunc(edge)
+      if (edgeWeight < pri) {
+        parents[w] = v
+        pq.decrease(w, edgeWeight)
+      }
+    }
+  }
+
+  if (g.nodeCount() === 0) {
+    return result
+  }
+
+  _.each(g.nodes(), function (v) {
+    pq.add(v, Number.POSITIVE_INFINITY)
+    result.setNode(v)
+  })
+
+  // Start from an arbitrary node
+  pq.decrease(g.nodes()[0], 0)
+
+  // Only the first node may start a tree, unless building a forest
+  let canStartTree = true
+  while (pq.size() > 0) {
+    v = pq.removeMin()
+    if (_.has(parents, v)) {
+      result.setEdge(v, parents[v])
+    } else {
+      if (!canStartTree) {
+        throw new Error('Input graph is not connected: ' + g)
+      }
+      canStartTree = forest
+    }
+
+    g.nodeEdges(v).forEach(updateNeighbors)
+  }
+
+  return result
+}
@@ -0,0 +1,12 @@
+import ReachabilityIndex from '../data/reachability-index'
+
+/**
+ * Indexes which nodes of **g** can reach each other, so that repeated
+ * queries do not need to walk the graph. See data/reachability-index for the
+ * queries and for keeping the index up to date as the graph changes.
+ * @param {Graph} g - graph to index
+ * @returns {ReachabilityIndex} the index, with `canReach`, `descendants` and `ancestors` queries
+ */
+export default function (g) {
+  return new ReachabilityIndex(g)
+}
@@ -0,0 +1,140 @@
+import _ from 'lodash'
+import strongComponents from './strong-components'
+
+/*
+ * Johnson's algorithm. Cycles are found in order of their lowest node, where
+ * nodes are ordered as in g.nodes(), and each cycle starts at that node. Only
+ * edges within a strongly connected component can be on a cycle, so all other
+ * edges are ignored. Once every cycle through a node has been found the node
+ * is dropped and its component split up again, so that later searches only
+ * walk the parts of the graph that still have cycles.
+ */
+function search (g, opts) {
+  const cmpts = {} // node id -> component among the nodes not yet searched from
+  const members = {} // component -> node ids
+  const cycles = []
+  let nextId = 1
+  if (opts.limit < 1) {
+    return cycles
+  }
+
+  const withinComponent = function (id) {
+    return function (v) {
+      return _.filter(g.successors(v), function (w) { return cmpts[w] === id })
+    }
+  }
+
+  const split = function (nodes, id) {
+    _.each(strongComponents(nodes, withinComponent(id)), function (cmpt) {
+      const newId = nextId++
+      members[newId] = cmpt
+      _.each(cmpt, function (v) { cmpts[v] = newId })
+    })
+  }
+
+  _.each(g.nodes(), function (v) { cmpts[v] = 0 })
+  split(g.nodes(), 0)
+
+  _.each(g.nodes(), function (s) {
+    const id = cmpts[s]
+    circuits(s, withinComponent(id), opts, cycles)
+
+    delete cmpts[s]
+    split(_.without(members[id], s), id)
+    delete members[id]
+    return cycles.length < opts.limit
+  })
+
+  return cycles
+}
+
+/*
+ * Finds every cycle through **s**. A node stays blocked while there is no
+ * path from it back to **s** that avoids the current path, and is unblocked
+ * as soon as the path it depends on changes. A search cut short by maxLength
+ * proves nothing, so it unblocks like a search that found a cycle. The search
+ * keeps its own stack of frames, one per node on the path, so that long
+ * cycles do not overflow the call stack.
+ */
+function circuits (s, successors, opts, cycles) {
+  const path = []
+  const frames = []
+  const blocked = {}
+  const blockedBy = {}
+
+  function unblock (v) {
+    const stack = [v]
+    while (stack.length) {
+      const u = stack.pop()
+      delete blocked[u]
+      _.each(_.keys(blockedBy[u]), function (w) {
+        delete blockedBy[u][w]
+        if (blocked[w]) {
+          stack.push(w)
+        }
+      })
+    }
+  }
+
+  function enter (v) {
+    path.push(v)
+    blocked[v] = true
+    frames.push({closed: false, i: 0, next: successors(v), v: v})
+  }
+
+  function step (frame, w) {
+    if (w === s) {
+      cycles.push(path.slice())
+      frame.closed = true
+    } else if (path.length >= opts.maxLength) {
+      frame.closed = true
+    } else if (!blocked[w]) {
+      enter(w)
+    }
+  }
+
+  function leave (frame) {
+    if (frame.closed) {
+      unblock(frame.v)
+    } else {
+      _.each(frame.next, function (w) {
+        blockedBy[w] = blockedBy[w] || {}
+        blockedBy[w][frame.v] = true
+      })
+    }
+
+    path.pop()
+    if (frames.length) {
+      _.last(frames).closed = _.last(frames).closed || frame.closed
+    }
+  }
+
+  enter(s)
+  while (frames.length) {
+    const frame = _.last(frames)
+    if (frame.i < frame.next.length && cycles.length < opts.limit) {
+      step(frame, frame.next[frame.i++])
+    } else {
+      leave(frames.pop())
+    }
+  }
+}
+
+/**
+ * Finds the elementary cycles of a directed graph, that is the cycles that do
+ * not visit any node twice. Each cycle is a list of nodes in path order: there
+ * is an edge from each node to the next and from the last node back to the
+ * first. The number of cycles can grow exponentially with the size of the
+ * graph, so the search can be capped.
+ * @param {Graph} g - directed graph to search
+ * @param {Object} [opts] - options
+ * @param {Number} [opts.limit] - stop after finding this many cycles
+ * @param {Number} [opts.maxLength] - ignore cycles with more nodes than this
+ * @returns {Array[]} the nodes of each cycle
+ */
+export default function (g, opts) {
+  return search(g, _.defaults({}, opts, {
+    limit: Number.POSITIVE_INFINITY,
+    maxLength: Number.POSITIVE_INFINITY
+  }))
+}
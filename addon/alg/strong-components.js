@@ -0,0 +1,76 @@
+import _ from 'lodash'
+
+/*
+ * Tarjan's algorithm for the strongly connected components of the graph made
+ * of **nodes** and the edges given by **successors**. For a whole graph this
+ * gives the same components in the same order as alg.tarjan. The search keeps
+ * its own stack of frames so that long chains do not overflow the call stack.
+ */
+export default function (nodes, successors) {
+  let index = 0
+  const stack = []
+  const visited = {} // node id -> { onStack, lowlink, index }
+  const results = []
+
+  function enter (frames, v) {
+    visited[v] = {
+      onStack: true,
+      lowlink: index,
+      index: index++
+    }
+    stack.push(v)
+    frames.push({i: 0, next: successors(v), v: v})
+  }
+
+  function follow (frames, frame, w) {
+    const entry = visited[frame.v]
+    if (!_.has(visited, w)) {
+      enter(frames, w)
+    } else if (visited[w].onStack) {
+      entry.lowlink = Math.min(entry.lowlink, visited[w].index)
+    }
+  }
+
+  function popComponent (v) {
+    const cmpt = []
+    let w
+    do {
+      w = stack.pop()
+      visited[w].onStack = false
+      cmpt.push(w)
+    } while (v !== w)
+    results.push(cmpt)
+  }
+
+  function leave (frame, parent) {
+    const entry = visited[frame.v]
+    if (parent) {
+      visited[parent.v].lowlink = Math.min(visited[parent.v].lowlink, entry.lowlink)
+    }
+    if (entry.lowlink === entry.index) {
+      popComponent(frame.v)
+    }
+  }
+
+  function dfs (root) {
+    const frames = []
+    enter(frames, root)
+    while (frames.length) {
+      const frame = _.last(frames)
+      if (frame.i < frame.next.length) {
+        follow(frames, frame, frame.next[frame.i++])
+      } else {
+        frames.pop()
+        leave(frame, _.last(frames))
+      }
+    }
+  }
+
+  _.each(nodes, function (v) {
+    if (!_.has(visited, v)) {
+      dfs(v)
+    }
+  })
+
+  return results
+}
@@ -0,0 +1,37 @@
+import _ from 'lodash'
+import vf2 from './vf2'
+
+/**
+ * Finds where **pattern** appears in **host**. Each match maps every node of
+ * the pattern to a distinct host node such that the host has an edge wherever
+ * the pattern does. With the induced option the host must not have any other
+ * edges between the matched nodes either. A pattern that is symmetric matches
+ * the same host nodes in several ways, and each of them is returned.
+ *
+ * The comparators are called with the host label first. In multigraphs
+ * edgeMatch is called with the labels of all the parallel edges between the
+ * two pairs of nodes.
+ * @param {Graph} host - graph to search
+ * @param {Graph} pattern - graph to look for
+ * @param {Object} [opts] - options
+ * @param {Function} [opts.nodeMatch] - returns whether a host node label matches a pattern node label
+ * @param {Function} [opts.edgeMatch] - returns whether a host edge label matches a pattern edge label
+ * @param {Boolean} [opts.induced] - only match nodes that have no edges beyond those of the pattern
+ * @param {Number} [opts.limit] - stop after finding this many matches
+ * @returns {Object[]} the host node each pattern node is mapped to, for every match
+ */
+export default function (host, pattern, opts) {
+  opts = _.defaults({}, opts, {induced: false, limit: Number.POSITIVE_INFINITY})
+
+  const matches = []
+  if (opts.limit < 1) {
+    return matches
+  }
+
+  vf2(host, pattern, opts.induced ? 'induced' : 'monomorphism', opts, function (mapping) {
+    matches.push(mapping)
+    return matches.length < opts.limit
+  })
+
+  return matches
+}
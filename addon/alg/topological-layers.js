@@ -0,0 +1,47 @@
+import _ from 'lodash'
+import cyclePath from './cycle-path'
+import topsort from './topsort'
+
+/**
+ * Groups the nodes of a directed graph into generations. The first layer
+ * holds the sources, and every other node is in the layer right after its
+ * latest predecessor, so the nodes of a layer only depend on nodes of earlier
+ * layers and can be processed in parallel.
+ * @param {Graph} g - directed graph to layer
+ * @returns {Array[]} the nodes of each layer
+ * @throws {CycleException} when the graph has a cycle
+ */
+export default function (g) {
+  const indegrees = {}
+  const layers = []
+  let layer = []
+  let count = 0
+
+  _.each(g.nodes(), function (v) {
+    indegrees[v] = g.predecessors(v).length
+    if (indegrees[v] === 0) {
+      layer.push(v)
+    }
+  })
+
+  while (layer.length) {
+    const next = []
+    _.each(layer, function (v) {
+      _.each(g.successors(v), function (w) {
+        if (--indegrees[w] === 0) {
+          next.push(w)
+        }
+      })
+    })
+
+    layers.push(layer)
+    count += layer.length
+    layer = next
+  }
+
+  if (count !== g.nodeCount()) {
+    throw new topsort.CycleException(cyclePath(g, function (v) { return indegrees[v] > 0 }, true))
+  }
+
+  return layers
+}
@@ -0,0 +1,112 @@
+import _ from 'lodash'
+import cyclePath from './cycle-path'
+
+/**
+ * Thrown when a graph that must be acyclic has a cycle. The **cycle**
+ * property holds the nodes of one such cycle in path order: there is an edge
+ * from each node to the next and from the last node back to the first.
+ * @param {String[]} cycle - nodes of the offending cycle
+ */
+function CycleException (cycle) {
+  this.cycle = cycle
+}
+
+function depthFirst (g) {
+  const visited = {}
+  const stack = {} // node id -> position in path
+  const path = []
+  const results = []
+
+  function visit (node) {
+    if (_.has(stack, node)) {
+      // The path is a chain of predecessors, so reverse it to follow edges
+      throw new CycleException(path.slice(stack[node]).reverse())
+    }
+
+    if (!_.has(visited, node)) {
+      stack[node] = path.length
+      path.push(node)
+      visited[node] = true
+      _.each(g.predecessors(node), visit)
+      delete stack[node]
+      path.pop()
+      results.push(node)
+    }
+  }
+
+  _.each(g.sinks(), visit)
+
+  if (_.size(visited) !== g.nodeCount()) {
+    // Unvisited nodes cannot reach a sink, so each has an unvisited successor
+    throw new CycleException(cyclePath(g, function (v) { return !_.has(visited, v) }))
+  }
+
+  return results
+}
+
+function insertSorted (nodes, v, comparator) {
+  let low = 0
+  let high = nodes.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (comparator(nodes[mid], v) <= 0) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+  nodes.splice(low, 0, v)
+}
+
+/*
+ * Kahn's algorithm, always picking the smallest ready node according to the
+ * comparator. Nodes left over at the end each have a left over predecessor.
+ */
+function byComparator (g, comparator) {
+  const indegrees = {}
+  const ready = []
+  const results = []
+
+  _.each(g.nodes(), function (v) {
+    indegrees[v] = g.predecessors(v).length
+    if (indegrees[v] === 0) {
+      insertSorted(ready, v, comparator)
+    }
+  })
+
+  while (ready.length) {
+    const v = ready.shift()
+    results.push(v)
+    _.each(g.successors(v), function (w) {
+      if (--indegrees[w] === 0) {
+        insertSorted(ready, w, comparator)
+      }
+    })
+  }
+
+  if (results.length !== g.nodeCount()) {
+    throw new CycleException(cyclePath(g, function (v) { return indegrees[v] > 0 }, true))
+  }
+
+  return results
+}
+
+/**
+ * Sorts the nodes of a directed graph such that every edge points from an
+ * earlier node to a later one. When a comparator is given, the smallest node
+ * according to it is picked whenever several nodes could come next, which
+ * makes the order deterministic.
+ * @param {Graph} g - directed graph to sort
+ * @param {Object} [opts] - options
+ * @param {Function} [opts.comparator] - compares two nodes like an Array#sort comparator
+ * @returns {String[]} the sorted nodes
+ * @throws {CycleException} when the graph has a cycle
+ */
+function topsort (g, opts) {
+  const comparator = _.get(opts, 'comparator')
+  return comparator ? byComparator(g, comparator) : depthFirst(g)
+}
+
+topsort.CycleException = CycleException
+
+export default topsort
@@ -0,0 +1,56 @@
+import _ from 'lodash'
+import copyNodes from './copy-nodes'
+
+function edgeLabel (g, v, w) {
+  const edges = g.isDirected() ? g.outEdges(v, w) : g.nodeEdges(v, w)
+  return edges.length ? g.edge(edges[0]) : undefined
+}
+
+function reachableFrom (g, v, next) {
+  const reached = {}
+  const stack = [v]
+
+  while (stack.length) {
+    _.each(next(stack.pop()), function (w) {
+      if (!_.has(reached, w)) {
+        reached[w] = true
+        stack.push(w)
+      }
+    })
+  }
+
+  return reached
+}
+
+/*
+ * Whether the closure has a self loop on **v**. In a directed graph that is
+ * when **v** is on a cycle, but in an undirected graph every edge would lead
+ * back to where it started, so only existing self loops are kept.
+ */
+function hasLoop (g, v, reached) {
+  return g.isDirected() ? _.has(reached, v) : !_.isEmpty(g.outEdges(v, v))
+}
+
+/**
+ * Builds the transitive closure of **g**, which has an edge from every node to
+ * every node it can reach. Edges that are already in **g** keep their labels,
+ * as do the nodes and the graph itself. Parallel multigraph edges become a
+ * single edge.
+ * @param {Graph} g - graph to close
+ * @returns {Graph} the transitive closure
+ */
+export default function (g) {
+  const closure = copyNodes(g)
+  const next = (g.isDirected() ? g.successors : g.neighbors).bind(g)
+
+  _.each(g.nodes(), function (v) {
+    const reached = reachableFrom(g, v, next)
+    _.each(_.keys(reached), function (w) {
+      if (w !== v || hasLoop(g, v, reached)) {
+        closure.setEdge(v, w, edgeLabel(g, v, w))
+      }
+    })
+  })
+
+  return closure
+}
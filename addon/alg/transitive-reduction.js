@@ -0,0 +1,41 @@
+import _ from 'lodash'
+import copyNodes from './copy-nodes'
+import topsort from './topsort'
+
+/**
+ * Builds the transitive reduction of a directed acyclic graph: the graph with
+ * the fewest edges in which every node still reaches the same nodes. An edge
+ * is dropped when its target can also be reached through another successor.
+ * The edges that remain keep their labels, as do the nodes and the graph
+ * itself. Parallel multigraph edges become a single edge.
+ * @param {Graph} g - directed acyclic graph to reduce
+ * @returns {Graph} the transitive reduction
+ * @throws {CycleException} when the graph has a cycle
+ */
+export default function (g) {
+  if (!g.isDirected()) {
+    throw new Error('Transitive reduction is only defined for directed graphs')
+  }
+
+  const reduction = copyNodes(g)
+  const descendants = {}
+
+  _.eachRight(topsort(g), function (v) {
+    const indirect = {}
+    descendants[v] = {}
+
+    _.each(g.successors(v), function (u) {
+      _.assign(indirect, descendants[u])
+      _.assign(descendants[v], descendants[u])
+      descendants[v][u] = true
+    })
+
+    _.each(g.successors(v), function (w) {
+      if (!_.has(indirect, w)) {
+        reduction.setEdge(v, w, g.edge(g.outEdges(v, w)[0]))
+      }
+    })
+  })
+
+  return reduction
+}
@@ -0,0 +1,157 @@
+import _ from 'lodash'
+
+function edgesBetween (g, v, w) {
+  return g.isDirected() || v === w ? g.outEdges(v, w) : g.nodeEdges(v, w)
+}
+
+function degrees (g, v) {
+  return g.isDirected() ? [g.inEdges(v).length, g.outEdges(v).length] : [g.nodeEdges(v).length]
+}
+
+/*
+ * Labels handed to edgeMatch: the label of the edge, or in a multigraph the
+ * labels of all parallel edges between the two nodes.
+ */
+function edgeLabels (g, edges, multigraph) {
+  const labels = _.map(edges, function (edge) { return g.edge(edge) })
+  return multigraph ? labels : labels[0]
+}
+
+/*
+ * Orders the pattern nodes so that, where possible, every node is connected
+ * to one that comes before it. Each such node remembers that earlier node, its
+ * parent, so that only the host nodes next to the parent's match need to be
+ * tried for it.
+ */
+function matchOrder (pattern) {
+  const order = []
+  const parents = {}
+  const remaining = _.keyBy(pattern.nodes())
+  const degree = function (v) { return pattern.nodeEdges(v).length }
+
+  while (!_.isEmpty(remaining)) {
+    const connected = _.filter(_.keys(remaining), function (v) { return _.has(parents, v) })
+    const v = _.maxBy(connected.length ? connected : _.keys(remaining), degree)
+
+    order.push(v)
+    delete remaining[v]
+    _.each(pattern.neighbors(v), function (w) {
+      if (_.has(remaining, w) && !_.has(parents, w)) {
+        parents[w] = {direction: _.isEmpty(pattern.outEdges(v, w)) ? 'in' : 'out', node: v}
+      }
+    })
+  }
+
+  return {order: order, parents: parents}
+}
+
+function candidates (state, pv) {
+  const parent = state.parents[pv]
+  if (!parent) {
+    return state.host.nodes()
+  }
+
+  const hv = state.mapping[parent.node]
+  if (!state.host.isDirected()) {
+    return state.host.neighbors(hv)
+  }
+  return parent.direction === 'out' ? state.host.successors(hv) : state.host.predecessors(hv)
+}
+
+function edgesMatch (state, hv, hw, pv, pw) {
+  const hostEdges = edgesBetween(state.host, hv, hw)
+  const patternEdges = edgesBetween(state.pattern, pv, pw)
+  const countsMatch = state.exactEdges
+    ? hostEdges.length === patternEdges.length
+    : hostEdges.length >= patternEdges.length
+
+  if (!countsMatch || !patternEdges.length || !state.edgeMatch) {
+    return countsMatch
+  }
+
+  return state.edgeMatch(
+    edgeLabels(state.host, hostEdges, state.multigraph),
+    edgeLabels(state.pattern, patternEdges, state.multigraph)
+  )
+}
+
+function degreesFit (state, hv, pv) {
+  const hostDegrees = degrees(state.host, hv)
+  return _.every(degrees(state.pattern, pv), function (degree, i) {
+    return state.equalDegrees ? hostDegrees[i] === degree : hostDegrees[i] >= degree
+  })
+}
+
+function nodesMatch (state, hv, pv) {
+  return !state.nodeMatch || state.nodeMatch(state.host.node(hv), state.pattern.node(pv))
+}
+
+/*
+ * Whether mapping pattern node **pv** to host node **hv** is consistent with
+ * the nodes mapped so far, including the edges to those nodes.
+ */
+function feasible (state, pv, hv) {
+  if (_.has(state.used, hv) || !degreesFit(state, hv, pv) || !nodesMatch(state, hv, pv)) {
+    return false
+  }
+
+  return _.every(_.keys(state.mapping).concat([pv]), function (pw) {
+    const hw = pw === pv ? hv : state.mapping[pw]
+    return edgesMatch(state, hv, hw, pv, pw) &&
+      (!state.host.isDirected() || edgesMatch(state, hw, hv, pw, pv))
+  })
+}
+
+function search (state, depth, visit) {
+  if (depth === state.order.length) {
+    return visit(_.clone(state.mapping)) !== false
+  }
+
+  const pv = state.order[depth]
+  return _.every(candidates(state, pv), function (hv) {
+    if (!feasible(state, pv, hv)) {
+      return true
+    }
+
+    state.mapping[pv] = hv
+    state.used[hv] = true
+    const more = search(state, depth + 1, visit)
+    delete state.mapping[pv]
+    delete state.used[hv]
+    return more
+  })
+}
+
+const MODES = {
+  induced: {equalDegrees: false, exactEdges: true},
+  isomorphism: {equalDegrees: true, exactEdges: true},
+  monomorphism: {equalDegrees: false, exactEdges: false}
+}
+
+/*
+ * State space search in the style of VF2 for the ways to map the nodes of
+ * **pattern** to distinct nodes of **host**, extending a partial mapping one
+ * node at a time and backtracking as soon as it can no longer be completed.
+ * In "isomorphism" mode the graphs must match exactly, in "induced" mode the
+ * pattern must match the subgraph the host induces on the mapped nodes and in
+ * "monomorphism" mode the host may have extra edges between those nodes.
+ *
+ * **visit** is called with every mapping found and can return false to stop.
+ */
+export default function (host, pattern, mode, opts, visit) {
+  if (host.isDirected() !== pattern.isDirected()) {
+    throw new Error('Cannot match a directed graph with an undirected graph')
+  }
+
+  const state = _.assign(matchOrder(pattern), MODES[mode], {
+    edgeMatch: opts.edgeMatch,
+    host: host,
+    mapping: {},
+    multigraph: host.isMultigraph() || pattern.isMultigraph(),
+    nodeMatch: opts.nodeMatch,
+    pattern: pattern,
+    used: {}
+  })
+
+  search(state, 0, visit)
+}
@@ -0,0 +1,11 @@
+/*
+ * Extracts the ends of an edge from arguments in any of the forms accepted by
+ * Graph#setEdge.
+ */
+export default function (args) {
+  const arg0 = args[0]
+  if (typeof arg0 === 'object' && arg0 !== null && 'v' in arg0) {
+    return [String(arg0.v), String(arg0.w)]
+  }
+  return [String(arg0), String(args[1])]
+}
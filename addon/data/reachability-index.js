@@ -0,0 +1,234 @@
+import _ from 'lodash'
+import components from '../alg/components'
+import condensation from '../alg/condensation'
+import topsort from '../alg/topsort'
+import Graph from '../graph'
+import edgeEnds from './edge-ends'
+
+const WORD_BITS = 32
+
+/*
+ * Groups of nodes that all reach each other, in the same shape as the result
+ * of condensation. In an undirected graph these are the connected components
+ * and they never reach each other.
+ */
+function groupsOf (g) {
+  if (g.isDirected()) {
+    return condensation(g)
+  }
+
+  const graph = new Graph()
+  const mapping = {}
+  _.each(components(g), function (members, i) {
+    graph.setNode(String(i), {members: members})
+    _.each(members, function (v) {
+      mapping[v] = String(i)
+    })
+  })
+
+  return {graph: graph, mapping: mapping}
+}
+
+function hasBit (bits, i) {
+  return (bits[i >>> 5] & (1 << (i & 31))) !== 0
+}
+
+function setBit (bits, i) {
+  bits[i >>> 5] |= 1 << (i & 31)
+}
+
+function orBits (bits, other) {
+  _.each(_.range(other.length), function (i) {
+    bits[i] |= other[i]
+  })
+}
+
+/**
+ * Answers reachability queries on a graph in constant time. The nodes that
+ * reach each other are grouped together, and every group stores the groups it
+ * reaches as a bitset, so the index takes `O(|V|^2)` bits in the worst case.
+ *
+ * Adding nodes, or edges that do not close a cycle, through this object
+ * updates the index in place. Any other change made through it rebuilds the
+ * index. After changing the graph directly, call `reset` to rebuild it.
+ *
+ * @param {Graph} g the graph to index
+ */
+function ReachabilityIndex (g) {
+  this._g = g
+  this.reset()
+}
+
+/**
+ * Builds the index from scratch. Takes `O(|V| * (|V| + |E|) / 32)` time.
+ */
+ReachabilityIndex.prototype.reset = function () {
+  const groups = groupsOf(this._g)
+  const order = topsort(groups.graph)
+  const index = _.invert(order)
+
+  this._group = _.mapValues(groups.mapping, function (id) { return Number(index[id]) })
+  this._members = _.map(order, function (id) { return groups.graph.node(id).members })
+  this._words = Math.max(1, Math.ceil(order.length / WORD_BITS))
+  this._bits = _.map(order, _.bind(function (id, i) {
+    const bits = new Uint32Array(this._words)
+    setBit(bits, i)
+    return bits
+  }, this))
+
+  // Walking backwards, the bits of a group's successors are already complete
+  _.eachRight(order, _.bind(function (id, i) {
+    _.each(groups.graph.successors(id), _.bind(function (next) {
+      orBits(this._bits[i], this._bits[index[next]])
+    }, this))
+  }, this))
+}
+
+/**
+ * Returns whether there is a path from **v** to **w**. Every node reaches
+ * itself. Takes `O(1)` time.
+ *
+ * @param {String} v the node the path starts from
+ * @param {String} w the node the path ends at
+ * @returns {Boolean} whether **v** reaches **w**
+ */
+ReachabilityIndex.prototype.canReach = function (v, w) {
+  return hasBit(this._bits[this._groupOf(v)], this._groupOf(w))
+}
+
+/**
+ * Returns the other nodes that **v** reaches. Takes `O(|V|)` time.
+ *
+ * @param {String} v the node to start from
+ * @returns {String[]} the nodes reachable from **v**
+ */
+ReachabilityIndex.prototype.descendants = function (v) {
+  const bits = this._bits[this._groupOf(v)]
+  return this._collect(v, function (i) { return hasBit(bits, i) })
+}
+
+/**
+ * Returns the other nodes that reach **v**. Takes `O(|V|)` time.
+ *
+ * @param {String} v the node to end at
+ * @returns {String[]} the nodes that can reach **v**
+ */
+ReachabilityIndex.prototype.ancestors = function (v) {
+  const group = this._groupOf(v)
+  const bits = this._bits
+  return this._collect(v, function (i) { return hasBit(bits[i], group) })
+}
+
+/**
+ * Adds a node to the graph, see Graph#setNode.
+ *
+ * @returns {ReachabilityIndex} this object
+ */
+ReachabilityIndex.prototype.setNode = function () {
+  this._g.setNode.apply(this._g, arguments)
+  this._append(String(arguments[0]))
+  return this
+}
+
+/**
+ * Adds an edge to the graph, see Graph#setEdge. The index is only rebuilt
+ * when the edge joins two groups of nodes into one, that is when it closes a
+ * cycle in a directed graph or joins two components of an undirected graph.
+ *
+ * @returns {ReachabilityIndex} this object
+ */
+ReachabilityIndex.prototype.setEdge = function () {
+  const ends = edgeEnds(arguments)
+  this._g.setEdge.apply(this._g, arguments)
+  _.each(ends, _.bind(this._append, this))
+
+  if (this.canReach(ends[0], ends[1])) {
+    return this
+  }
+
+  if (!this._g.isDirected() || this.canReach(ends[1], ends[0])) {
+    this.reset()
+  } else {
+    this._link(this._group[ends[0]], this._group[ends[1]])
+  }
+  return this
+}
+
+/**
+ * Removes an edge from the graph, see Graph#removeEdge, and rebuilds the
+ * index.
+ *
+ * @returns {ReachabilityIndex} this object
+ */
+ReachabilityIndex.prototype.removeEdge = function () {
+  this._g.removeEdge.apply(this._g, arguments)
+  this.reset()
+  return this
+}
+
+/**
+ * Removes a node and its edges from the graph, see Graph#removeNode, and
+ * rebuilds the index.
+ *
+ * @param {String} v the node to remove
+ * @returns {ReachabilityIndex} this object
+ */
+ReachabilityIndex.prototype.removeNode = function (v) {
+  this._g.removeNode(v)
+  this.reset()
+  return this
+}
+
+ReachabilityIndex.prototype._groupOf = function (v) {
+  if (!_.has(this._group, v)) {
+    throw new Error('Graph does not have node: ' + v)
+  }
+  return this._group[v]
+}
+
+ReachabilityIndex.prototype._collect = function (v, includes) {
+  const nodes = _.flatten(_.filter(this._members, function (members, i) {
+    return includes(i)
+  }))
+  return _.without(nodes, String(v))
+}
+
+/*
+ * Gives a new node a group of its own, making room for one more bit in every
+ * bitset first if needed.
+ */
+ReachabilityIndex.prototype._append = function (v) {
+  if (_.has(this._group, v)) {
+    return
+  }
+
+  const i = this._members.length
+  if (i >= this._words * WORD_BITS) {
+    this._words *= 2
+    this._bits = _.map(this._bits, _.bind(function (bits) {
+      const grown = new Uint32Array(this._words)
+      grown.set(bits)
+      return grown
+    }, this))
+  }
+
+  this._group[v] = i
+  this._members.push([v])
+  this._bits.push(new Uint32Array(this._words))
+  setBit(this._bits[i], i)
+}
+
+/*
+ * Everything that reaches group **i** now also reaches what group **j**
+ * reaches.
+ */
+ReachabilityIndex.prototype._link = function (i, j) {
+  const bits = this._bits
+  _.each(bits, function (groupBits) {
+    if (hasBit(groupBits, i)) {
+      orBits(groupBits, bits[j])
+    }
+  })
+}
+
+export default ReachabilityIndex
@@ -0,0 +1,178 @@
+import _ from 'lodash'
+import topsort from '../alg/topsort'
+import edgeEnds from './edge-ends'
+
+/**
+ * Keeps a topological order of a directed acyclic graph up to date as edges
+ * are added and removed, using the dynamic algorithm of Pearce and Kelly.
+ * Adding an edge only reorders the nodes between its ends in the current
+ * order rather than sorting the whole graph again, and an edge that would
+ * create a cycle is rejected before it is added to the graph.
+ *
+ * The graph must only be changed through this object. After changing it
+ * directly, call `reset` to sort it again from scratch.
+ *
+ * @param {Graph} g the directed acyclic graph to keep in order
+ */
+function TopologicalOrder (g) {
+  if (!g.isDirected()) {
+    throw new Error('Cannot keep a topological order of an undirected graph')
+  }
+
+  this._g = g
+  this.reset()
+}
+
+/**
+ * Sorts the graph from scratch. Takes `O(|V| + |E|)` time.
+ *
+ * @throws {CycleException} when the graph has a cycle
+ */
+TopologicalOrder.prototype.reset = function () {
+  this._index = {}
+  this._nextIndex = 0
+  _.each(topsort(this._g), _.bind(this._append, this))
+}
+
+/**
+ * Returns the nodes of the graph in topological order. Takes `O(n log n)`
+ * time.
+ *
+ * @returns {String[]} the sorted nodes
+ */
+TopologicalOrder.prototype.order = function () {
+  const index = this._index
+  return _.sortBy(_.keys(index), function (v) { return index[v] })
+}
+
+/**
+ * Adds a node to the graph, see Graph#setNode. New nodes are placed last.
+ *
+ * @returns {TopologicalOrder} this object
+ */
+TopologicalOrder.prototype.setNode = function () {
+  this._g.setNode.apply(this._g, arguments)
+  this._append(String(arguments[0]))
+  return this
+}
+
+/**
+ * Adds an edge to the graph, see Graph#setEdge, and moves nodes as needed to
+ * keep the order valid. The graph is left unchanged when the edge would
+ * create a cycle.
+ *
+ * @returns {TopologicalOrder} this object
+ * @throws {CycleException} when the edge would create a cycle
+ */
+TopologicalOrder.prototype.setEdge = function () {
+  const ends = edgeEnds(arguments)
+  this._insert(ends[0], ends[1])
+  this._g.setEdge.apply(this._g, arguments)
+  return this
+}
+
+/**
+ * Removes an edge from the graph, see Graph#removeEdge. The order stays
+ * valid without any changes.
+ *
+ * @returns {TopologicalOrder} this object
+ */
+TopologicalOrder.prototype.removeEdge = function () {
+  this._g.removeEdge.apply(this._g, arguments)
+  return this
+}
+
+/**
+ * Removes a node and its edges from the graph, see Graph#removeNode.
+ *
+ * @param {String} v the node to remove
+ * @returns {TopologicalOrder} this object
+ */
+TopologicalOrder.prototype.removeNode = function (v) {
+  this._g.removeNode(v)
+  delete this._index[v]
+  return this
+}
+
+TopologicalOrder.prototype._append = function (v) {
+  if (!_.has(this._index, v)) {
+    this._index[v] = this._nextIndex++
+  }
+}
+
+TopologicalOrder.prototype._insert = function (v, w) {
+  if (v === w) {
+    throw new topsort.CycleException([v])
+  }
+
+  this._append(v)
+  this._append(w)
+
+  const index = this._index
+  const lower = index[w]
+  const upper = index[v]
+  if (upper < lower) {
+    return
+  }
+
+  // Only nodes placed between w and v can be affected by the new edge
+  const forward = this._search(w, this._g.successors, function (u) { return index[u] <= upper })
+  if (_.has(forward, v)) {
+    throw new topsort.CycleException(this._cycle(forward, v, w))
+  }
+  const backward = this._search(v, this._g.predecessors, function (u) { return index[u] >= lower })
+
+  this._reorder(_.keys(backward), _.keys(forward))
+}
+
+/*
+ * Depth first search from **start** through nodes for which **inRange**
+ * holds. Returns the node each visited node was reached from.
+ */
+TopologicalOrder.prototype._search = function (start, next, inRange) {
+  const g = this._g
+  const parents = {}
+  const stack = [start]
+  parents[start] = null
+
+  while (stack.length) {
+    const u = stack.pop()
+    _.each(next.call(g, u), function (x) {
+      if (!_.has(parents, x) && inRange(x)) {
+        parents[x] = u
+        stack.push(x)
+      }
+    })
+  }
+
+  return parents
+}
+
+/*
+ * The new edge v -> w closes the path found from w back to v.
+ */
+TopologicalOrder.prototype._cycle = function (parents, v, w) {
+  const path = []
+  for (let u = v; u !== w; u = parents[u]) {
+    path.push(u)
+  }
+  path.push(w)
+  return path.reverse()
+}
+
+/*
+ * Everything that reaches v must come before everything w reaches. Both
+ * groups keep their relative order and share the positions they held.
+ */
+TopologicalOrder.prototype._reorder = function (backward, forward) {
+  const index = this._index
+  const byIndex = function (u) { return index[u] }
+  const nodes = _.sortBy(backward, byIndex).concat(_.sortBy(forward, byIndex))
+  const positions = _.sortBy(_.map(nodes, byIndex))
+
+  _.each(nodes, function (u, i) {
+    index[u] = positions[i]
+  })
+}
+
+export default TopologicalOrder
@@ -0,0 +1,125 @@
+import _ from 'lodash'
+
+/**
+ * A disjoint set data structure. Keeps track of a set of keys partitioned
+ * into disjoint sets, and merges sets in nearly constant amortized time by
+ * using union by rank and path compression.
+ */
+function UnionFind () {
+  this._parents = {}
+  this._ranks = {}
+  this._setCount = 0
+}
+
+/**
+ * Returns the number of disjoint sets. Takes `O(1)` time.
+ *
+ * @returns {Number} the number of sets
+ */
+UnionFind.prototype.setCount = function () {
+  return this._setCount
+}
+
+/**
+ * Returns the keys grouped by the set they belong to. Takes `O(n)` time.
+ *
+ * @returns {Array[]} the keys of each set
+ */
+UnionFind.prototype.sets = function () {
+  return _.values(_.groupBy(_.keys(this._parents), _.bind(this.find, this)))
+}
+
+/**
+ * Adds **key** to the structure in a set of its own. If the key already
+ * exists this function returns `false`; otherwise it will return `true`.
+ * Takes `O(1)` time.
+ *
+ * @param {Object} key the key to add
+ * @returns {Boolean} whether the key was added
+ */
+UnionFind.prototype.add = function (key) {
+  key = String(key)
+  if (_.has(this._parents, key)) {
+    return false
+  }
+
+  this._parents[key] = key
+  this._ranks[key] = 0
+  this._setCount++
+  return true
+}
+
+/**
+ * Returns the representative key of the set that contains **key**, adding
+ * the key first if it is not yet present. Two keys are in the same set if and
+ * only if they have the same representative.
+ *
+ * @param {Object} key the key to look up
+ * @returns {String} the representative of the set containing the key
+ */
+UnionFind.prototype.find = function (key) {
+  key = String(key)
+  this.add(key)
+
+  let root = key
+  while (this._parents[root] !== root) {
+    root = this._parents[root]
+  }
+
+  // Path compression: point every key on the way directly at the root
+  while (key !== root) {
+    const next = this._parents[key]
+    this._parents[key] = root
+    key = next
+  }
+
+  return root
+}
+
+/**
+ * Merges the sets containing **a** and **b**. Returns `false` if they were
+ * already in the same set; otherwise it will return `true`.
+ *
+ * @param {Object} a a key in the first set
+ * @param {Object} b a key in the second set
+ * @returns {Boolean} whether two sets were merged
+ */
+UnionFind.prototype.union = function (a, b) {
+  let rootA = this.find(a)
+  let rootB = this.find(b)
+  if (rootA === rootB) {
+    return false
+  }
+
+  if (this._ranks[rootA] < this._ranks[rootB]) {
+    const tmp = rootA
+    rootA = rootB
+    rootB = tmp
+  }
+
+  this._parents[rootB] = rootA
+  if (this._ranks[rootA] === this._ranks[rootB]) {
+    this._ranks[rootA]++
+  }
+  this._setCount--
+  return true
+}
+
+/**
+ * Returns `true` if **a** and **b** are in the same set and `false` if not.
+ * Unlike find, this does not add missing keys: a key that was never added is
+ * not connected to anything, itself included, and the structure is left as
+ * it was.
+ *
+ * @param {Object} a the first key
+ * @param {Object} b the second key
+ * @returns {Boolean} whether the keys are connected
+ */
+UnionFind.prototype.connected = function (a, b) {
+  if (!_.has(this._parents, String(a)) || !_.has(this._parents, String(b))) {
+    return false
+  }
+  return this.find(a) === this.find(b)
+}
+
+export default UnionFind
@@ -0,0 +1,121 @@
+// Adds methods to the Graph class from ciena-graphlib. The upstream module is
+// left as it is so that fixes to it still reach this addon. The methods are
+// only there once this module has run, which importing `ciena-graphlib`
+// takes care of. Code that only imports `ciena-graphlib/graph` has to import
+// `ciena-graphlib` or `ciena-graphlib/graph-extensions` as well.
+
+import _ from 'lodash'
+import Graph from './graph'
+import iterator from './iterator'
+
+/*
+ * Iterates over the keys of **map**, passing each through **fn**. Objects can
+ * not be walked a step at a time, so the keys are copied into an array when
+ * iteration starts; only the work done per key is put off until it is
+ * requested. Keys removed since the copy was made are skipped.
+ */
+function keysIter (map, fn) {
+  let keys
+  let i = 0
+  return iterator(function () {
+    keys = keys || _.keys(map)
+    while (i < keys.length) {
+      const k = keys[i++]
+      if (_.has(map, k)) {
+        return {done: false, value: fn(k)}
+      }
+    }
+    return {done: true, value: undefined}
+  })
+}
+
+/* === Iterators =============== */
+
+/*
+ * Like nodes, but returns an iterator over the node ids. The ids are still
+ * copied into an array on the first call to next, as nodes does, so this
+ * only saves work for a caller that stops early.
+ */
+Graph.prototype.nodesIter = function () {
+  return keysIter(this._nodes, _.identity)
+}
+
+/*
+ * Like successors, but returns an iterator. As with nodesIter, the successor
+ * ids are copied when iteration starts.
+ */
+Graph.prototype.successorsIter = function (v) {
+  const sucsV = this._sucs[v]
+  if (sucsV) {
+    return keysIter(sucsV, _.identity)
+  }
+}
+
+/*
+ * Like edges, but returns an iterator over the edge objects. The edge ids are
+ * copied when iteration starts, and the edge objects are looked up one at a
+ * time.
+ */
+Graph.prototype.edgesIter = function () {
+  const edgeObjs = this._edgeObjs
+  return keysIter(edgeObjs, function (e) { return edgeObjs[e] })
+}
+
+/* === Compound graphs ========= */
+
+/*
+ * Returns the parents of a node in a compound graph, starting with its own
+ * parent and ending with the top level one.
+ */
+Graph.prototype.ancestors = function (v) {
+  if (this.hasNode(v)) {
+    const ancestors = []
+    for (let parent = this.parent(v); !_.isUndefined(parent); parent = this.parent(parent)) {
+      ancestors.push(parent)
+    }
+    return ancestors
+  }
+}
+
+/*
+ * Returns every node nested in a node of a compound graph, at any depth, with
+ * each node listed before its own children.
+ */
+Graph.prototype.descendants = function (v) {
+  const children = this.children(v)
+  if (children) {
+    const descendants = []
+    const stack = children.reverse()
+    while (stack.length) {
+      const w = stack.pop()
+      descendants.push(w)
+      _.eachRight(this.children(w), function (child) { stack.push(child) })
+    }
+    return descendants
+  }
+}
+
+/*
+ * Returns how deeply a node is nested, where top level nodes have depth 0.
+ */
+Graph.prototype.depth = function (v) {
+  const ancestors = this.ancestors(v)
+  if (ancestors) {
+    return ancestors.length
+  }
+}
+
+/*
+ * Returns the most deeply nested node that is either or contains both nodes.
+ * Nothing is returned when the nodes only share the top level.
+ */
+Graph.prototype.lowestCommonAncestor = function (v, w) {
+  if (this.hasNode(v) && this.hasNode(w)) {
+    const wPath = _.keyBy([String(w)].concat(this.ancestors(w)))
+    return _.find([String(v)].concat(this.ancestors(v)), function (u) {
+      return _.has(wPath, u)
+    })
+  }
+}
+
+export default Graph
@@ -0,0 +1,15 @@
+import alg from './alg'
+import Graph from './graph-extensions'
+import json from './json'
+
+export {
+  alg,
+  Graph,
+  json
+}
+
+export default {
+  alg,
+  Graph,
+  json
+}
@@ -0,0 +1,13 @@
+/*
+ * Turns a `next` function into an iterator, an object that follows the
+ * iterator protocol and so also works with `for...of` where available. This
+ * stands in for generator functions, which would require every consuming app
+ * to include the regenerator runtime.
+ */
+export default function (next) {
+  const it = {next: next}
+  if (typeof Symbol === 'function' && Symbol.iterator) {
+    it[Symbol.iterator] = function () { return this }
+  }
+  return it
+}
@@ -0,0 +1,31 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {allPathsFrom, dijkstra, dijkstraAll} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.allPathsFrom', function () {
+  it('should return a path to every node in a single source result', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    g.setNode('d')
+
+    expect(allPathsFrom(dijkstra(g, 'a'), 'a')).to.eql({
+      a: {distance: 0, edges: [], path: ['a']},
+      b: {distance: 1, edges: [{v: 'a', w: 'b'}], path: ['a', 'b']},
+      c: {distance: 2, edges: [{v: 'a', w: 'b'}, {v: 'b', w: 'c'}], path: ['a', 'b', 'c']},
+      d: null
+    })
+  })
+
+  it('should return the paths from the given source of an all pairs result', function () {
+    let g = new Graph({multigraph: true})
+    g.setEdge('a', 'b', 1, 'x')
+    g.setEdge('b', 'c', 1, 'y')
+
+    expect(allPathsFrom(dijkstraAll(g), 'b', g)).to.eql({
+      a: null,
+      b: {distance: 0, edges: [], path: ['b']},
+      c: {distance: 1, edges: [{v: 'b', w: 'c', name: 'y'}], path: ['b', 'c']}
+    })
+  })
+})
@@ -0,0 +1,52 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {articulationPoints} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.articulationPoints', function () {
+  it('should return an empty list for an empty graph', function () {
+    expect(articulationPoints(new Graph({directed: false}))).to.eql([])
+  })
+
+  it('should return an empty list for a cycle', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c', 'a'])
+    expect(articulationPoints(g)).to.eql([])
+  })
+
+  it('should return the inner nodes of a path', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c', 'd'])
+    expect(_.sortBy(articulationPoints(g))).to.eql(['b', 'c'])
+  })
+
+  it('should return nodes joining biconnected components', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c', 'a'])
+    g.setPath(['c', 'd', 'e', 'c'])
+    g.setEdge('e', 'f')
+    expect(_.sortBy(articulationPoints(g))).to.eql(['c', 'e'])
+  })
+
+  it('should return the root of the search when it has several subtrees', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b')
+    g.setEdge('a', 'c')
+    expect(articulationPoints(g)).to.eql(['a'])
+  })
+
+  it('should ignore self edges', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b')
+    g.setEdge('b', 'b')
+    expect(articulationPoints(g)).to.eql([])
+  })
+
+  it('should treat edges of a digraph as undirected', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setEdge('c', 'b')
+    expect(articulationPoints(g)).to.eql(['b'])
+  })
+})
@@ -0,0 +1,103 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {astar} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.astar', function () {
+  it('should return a zero length path when the source is the target', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(astar(g, 'a', 'a')).to.eql({distance: 0, path: ['a']})
+  })
+
+  it('should return null when the target is unreachable', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setNode('c')
+    expect(astar(g, 'a', 'c')).to.equal(null)
+  })
+
+  it('should throw an Error if the graph does not have the source or target', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(function () { astar(g, 'a', 'b') }).to.throw()
+    expect(function () { astar(g, 'b', 'a') }).to.throw()
+  })
+
+  it('should return the shortest path and its distance', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b', 1)
+    g.setEdge('a', 'c', 2)
+    g.setEdge('b', 'd', 3)
+    g.setEdge('c', 'd', 1)
+
+    expect(astar(g, 'a', 'd', weightFn(g))).to.eql({distance: 3, path: ['a', 'c', 'd']})
+  })
+
+  it('should use an optionally supplied edge function', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b', 1)
+    g.setEdge('b', 'c', 2)
+    g.setEdge('c', 'a', 4)
+
+    expect(astar(g, 'c', 'a', weightFn(g), undefined, g.nodeEdges.bind(g)))
+      .to.eql({distance: 3, path: ['c', 'b', 'a']})
+  })
+
+  it('should stop expanding nodes once the target is reached', function () {
+    let g = new Graph()
+    const positions = {}
+    for (let i = 0; i < 10; i++) {
+      positions['x' + i] = i
+      if (i > 0) {
+        g.setEdge('x' + (i - 1), 'x' + i)
+      }
+    }
+    for (let i = 1; i < 10; i++) {
+      positions['y' + i] = -i
+      g.setEdge(i === 1 ? 'x0' : 'y' + (i - 1), 'y' + i)
+    }
+
+    const expanded = []
+    const edgeFn = function (v) {
+      expanded.push(v)
+      return g.outEdges(v)
+    }
+    const heuristicFn = function (v, target) {
+      return Math.abs(positions[target] - positions[v])
+    }
+
+    expect(astar(g, 'x0', 'x3', undefined, heuristicFn, edgeFn).distance).to.equal(3)
+    expect(expanded).to.eql(['x0', 'x1', 'x2'])
+  })
+
+  it('should find the shortest path with an admissible but inconsistent heuristic', function () {
+    let g = new Graph()
+    g.setEdge('s', 'a', 1)
+    g.setEdge('s', 'b', 4)
+    g.setEdge('a', 'b', 1)
+    g.setEdge('b', 't', 4)
+
+    const estimates = {a: 5, b: 0, s: 0, t: 0}
+    const heuristicFn = function (v) {
+      return estimates[v]
+    }
+
+    expect(astar(g, 's', 't', weightFn(g), heuristicFn)).to.eql({distance: 6, path: ['s', 'a', 'b', 't']})
+  })
+
+  it('should throw an Error if it encounters a negative edge weight', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b', 1)
+    g.setEdge('a', 'c', -2)
+    g.setEdge('c', 'd', 3)
+
+    expect(function () { astar(g, 'a', 'd', weightFn(g)) }).to.throw()
+  })
+})
+
+function weightFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
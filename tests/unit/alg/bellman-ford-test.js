@@ -0,0 +1,129 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {bellmanFord} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.bellmanFord', function () {
+  it('should assign distance 0 for the source node', function () {
+    let g = new Graph()
+    g.setNode('source')
+    expect(bellmanFord(g, 'source')).to.eql({source: {distance: 0}})
+  })
+
+  it('should return Number.POSITIVE_INFINITY for unconnected nodes', function () {
+    let g = new Graph()
+    g.setNode('a')
+    g.setNode('b')
+    expect(bellmanFord(g, 'a')).to.eql({
+      a: {distance: 0},
+      b: {distance: Number.POSITIVE_INFINITY}
+    })
+  })
+
+  it('should return the distance and path from the source node to other nodes', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    g.setEdge('b', 'd')
+    expect(bellmanFord(g, 'a')).to.eql({
+      a: {distance: 0},
+      b: {distance: 1, predecessor: 'a'},
+      c: {distance: 2, predecessor: 'b'},
+      d: {distance: 2, predecessor: 'b'}
+    })
+  })
+
+  it('should use an optionally supplied edge function', function () {
+    let g = new Graph()
+    g.setPath(['a', 'c', 'd'])
+    g.setEdge('b', 'c')
+
+    expect(bellmanFord(g, 'd', undefined, function (v) { return g.inEdges(v) })).to.eql({
+      a: {distance: 2, predecessor: 'c'},
+      b: {distance: 2, predecessor: 'c'},
+      c: {distance: 1, predecessor: 'd'},
+      d: {distance: 0}
+    })
+  })
+
+  it('should handle negative weights', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b', 1)
+    g.setEdge('a', 'c', -2)
+    g.setEdge('b', 'd', 3)
+    g.setEdge('c', 'd', 3)
+    g.setEdge('d', 'e', -4)
+
+    expect(bellmanFord(g, 'a', weightFn(g))).to.eql({
+      a: {distance: 0},
+      b: {distance: 1, predecessor: 'a'},
+      c: {distance: -2, predecessor: 'a'},
+      d: {distance: 1, predecessor: 'c'},
+      e: {distance: -3, predecessor: 'd'}
+    })
+  })
+
+  it('should throw NegativeCycleException if there is a negative cycle', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b', 1)
+    g.setEdge('b', 'c', 1)
+    g.setEdge('c', 'd', -3)
+    g.setEdge('d', 'b', 1)
+    g.setEdge('d', 'e', 1)
+
+    expect(function () { bellmanFord(g, 'a', weightFn(g)) })
+      .to.throw(bellmanFord.NegativeCycleException)
+  })
+
+  it('should report the nodes of the negative cycle in path order', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b', 1)
+    g.setEdge('b', 'c', 1)
+    g.setEdge('c', 'd', -3)
+    g.setEdge('d', 'b', 1)
+
+    let cycle
+    try {
+      bellmanFord(g, 'a', weightFn(g))
+    } catch (e) {
+      cycle = e.cycle
+    }
+
+    expect(cycle).to.have.length(3)
+    const start = cycle.indexOf('b')
+    expect(cycle.slice(start).concat(cycle.slice(0, start))).to.eql(['b', 'c', 'd'])
+  })
+
+  it('should report a negative weight self edge as a cycle', function () {
+    let g = new Graph()
+    g.setEdge('a', 'a', -1)
+
+    let cycle
+    try {
+      bellmanFord(g, 'a', weightFn(g))
+    } catch (e) {
+      cycle = e.cycle
+    }
+
+    expect(cycle).to.eql(['a'])
+  })
+
+  it('should ignore negative cycles that are not reachable from the source', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b', 2)
+    g.setEdge('c', 'd', -1)
+    g.setEdge('d', 'c', -1)
+
+    expect(bellmanFord(g, 'a', weightFn(g))).to.eql({
+      a: {distance: 0},
+      b: {distance: 2, predecessor: 'a'},
+      c: {distance: Number.POSITIVE_INFINITY},
+      d: {distance: Number.POSITIVE_INFINITY}
+    })
+  })
+})
+
+function weightFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
@@ -0,0 +1,70 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {betweennessCentrality} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.betweennessCentrality', function () {
+  it('should return an empty object for an empty graph', function () {
+    expect(betweennessCentrality(new Graph())).to.eql({})
+  })
+
+  it('should score the center of a star highest', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b')
+    g.setEdge('a', 'c')
+    g.setEdge('a', 'd')
+    g.setEdge('a', 'e')
+
+    expect(betweennessCentrality(g)).to.eql({a: 1, b: 0, c: 0, d: 0, e: 0})
+    expect(betweennessCentrality(g, {normalized: false})).to.eql({a: 6, b: 0, c: 0, d: 0, e: 0})
+  })
+
+  it('should only count paths in the direction of the edges', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+
+    expect(betweennessCentrality(g, {normalized: false})).to.eql({a: 0, b: 1, c: 0})
+    expect(betweennessCentrality(g)).to.eql({a: 0, b: 0.5, c: 0})
+  })
+
+  it('should split the score between equally short paths', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'd', 'c', 'a'])
+
+    expect(betweennessCentrality(g, {normalized: false})).to.eql({a: 0.5, b: 0.5, c: 0.5, d: 0.5})
+  })
+
+  it('should use the weight function to find the shortest paths', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b', 1)
+    g.setEdge('b', 'd', 1)
+    g.setEdge('a', 'c', 2)
+    g.setEdge('c', 'd', 2)
+
+    expect(betweennessCentrality(g, {normalized: false, weightFn: weightFn(g)})).to.eql({
+      a: 0.5,
+      b: 1,
+      c: 0,
+      d: 0.5
+    })
+  })
+
+  it('should count parallel multigraph edges as distinct paths', function () {
+    let g = new Graph({multigraph: true})
+    g.setEdge('a', 'b', null, 'x')
+    g.setEdge('a', 'b', null, 'y')
+    g.setEdge('b', 'd')
+    g.setEdge('a', 'c')
+    g.setEdge('c', 'd')
+
+    const scores = betweennessCentrality(g, {normalized: false})
+    expect(scores.b).to.be.closeTo(2 / 3, 1e-9)
+    expect(scores.c).to.be.closeTo(1 / 3, 1e-9)
+  })
+})
+
+function weightFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
@@ -0,0 +1,92 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {bfs} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.bfs', function () {
+  it('should return the root for a singleton graph', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(bfs(g, 'a')).to.eql({depth: {a: 0}, order: ['a']})
+  })
+
+  it('should visit nodes in order of their depth', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'd'])
+    g.setEdge('a', 'e')
+    g.setEdge('e', 'c')
+
+    const result = bfs(g, 'a')
+    expect(result.depth).to.eql({a: 0, b: 1, c: 2, d: 3, e: 1})
+    expect(result.order[0]).to.equal('a')
+    expect(_.sortBy(result.order.slice(1, 3))).to.eql(['b', 'e'])
+    expect(result.order.slice(3)).to.eql(['c', 'd'])
+  })
+
+  it('should start from every root', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    g.setPath(['x', 'y', 'c'])
+
+    expect(bfs(g, ['a', 'x'])).to.eql({
+      depth: {a: 0, b: 1, c: 2, x: 0, y: 1},
+      order: ['a', 'x', 'b', 'y', 'c']
+    })
+  })
+
+  it('should follow the given direction', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    g.setEdge('d', 'b')
+
+    expect(_.sortBy(bfs(g, 'b').order)).to.eql(['b', 'c'])
+    expect(_.sortBy(bfs(g, 'b', {direction: 'in'}).order)).to.eql(['a', 'b', 'd'])
+    expect(_.sortBy(bfs(g, 'b', {direction: 'both'}).order)).to.eql(['a', 'b', 'c', 'd'])
+  })
+
+  it('should navigate using neighbors for undirected graphs', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c'])
+    expect(bfs(g, 'c').depth).to.eql({a: 2, b: 1, c: 0})
+  })
+
+  it('should not go deeper than the maximum depth', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'd'])
+    expect(bfs(g, 'a', {maxDepth: 2})).to.eql({
+      depth: {a: 0, b: 1, c: 2},
+      order: ['a', 'b', 'c']
+    })
+  })
+
+  it('should call the visitor with each node and its depth', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+
+    const visits = []
+    bfs(g, 'a', {visitor: function (v, depth) { visits.push([v, depth]) }})
+    expect(visits).to.eql([['a', 0], ['b', 1], ['c', 2]])
+  })
+
+  it('should stop when the visitor returns false', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'd'])
+
+    expect(bfs(g, 'a', {visitor: function (v) { return v !== 'b' }})).to.eql({
+      depth: {a: 0, b: 1},
+      order: ['a', 'b']
+    })
+  })
+
+  it('should throw an error if the node is not in the graph', function () {
+    let g = new Graph()
+    expect(function () { bfs(g, 'a') }).to.throw()
+  })
+
+  it('should throw an error for an unknown direction', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(function () { bfs(g, 'a', {direction: 'up'}) }).to.throw()
+  })
+})
@@ -0,0 +1,49 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {biconnectedComponents} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.biconnectedComponents', function () {
+  it('should return an empty list for an empty graph', function () {
+    expect(biconnectedComponents(new Graph({directed: false}))).to.eql([])
+  })
+
+  it('should not return nodes without edges', function () {
+    let g = new Graph({directed: false})
+    g.setNode('a')
+    expect(biconnectedComponents(g)).to.eql([])
+  })
+
+  it('should return a single component for a cycle', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c', 'a'])
+    expect(_.map(biconnectedComponents(g), _.sortBy)).to.eql([['a', 'b', 'c']])
+  })
+
+  it('should share articulation points between components', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c', 'a'])
+    g.setPath(['c', 'd', 'e', 'c'])
+    g.setEdge('e', 'f')
+    g.setEdge('g', 'h')
+
+    const result = _.sortBy(_.map(biconnectedComponents(g), _.sortBy), _.toString)
+    expect(result).to.eql([
+      ['a', 'b', 'c'],
+      ['c', 'd', 'e'],
+      ['e', 'f'],
+      ['g', 'h']
+    ])
+  })
+
+  it('should keep nodes joined by parallel multigraph edges together', function () {
+    let g = new Graph({directed: false, multigraph: true})
+    g.setEdge('a', 'b', undefined, 'x')
+    g.setEdge('a', 'b', undefined, 'y')
+    g.setEdge('b', 'c')
+
+    const result = _.sortBy(_.map(biconnectedComponents(g), _.sortBy), _.toString)
+    expect(result).to.eql([['a', 'b'], ['b', 'c']])
+  })
+})
@@ -0,0 +1,53 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {bridges} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.bridges', function () {
+  it('should return an empty list for an empty graph', function () {
+    expect(bridges(new Graph({directed: false}))).to.eql([])
+  })
+
+  it('should return an empty list for a cycle', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c', 'a'])
+    expect(bridges(g)).to.eql([])
+  })
+
+  it('should return the edges joining biconnected components', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c', 'a'])
+    g.setEdge('c', 'd')
+    g.setPath(['d', 'e', 'f', 'd'])
+    g.setEdge('f', 'g')
+    expect(_.sortBy(bridges(g), 'v')).to.eql([{v: 'c', w: 'd'}, {v: 'f', w: 'g'}])
+  })
+
+  it('should not return parallel multigraph edges', function () {
+    let g = new Graph({directed: false, multigraph: true})
+    g.setEdge('a', 'b', undefined, 'x')
+    g.setEdge('a', 'b', undefined, 'y')
+    g.setEdge('b', 'c')
+    expect(bridges(g)).to.eql([{v: 'b', w: 'c'}])
+  })
+
+  it('should return a named multigraph edge without a parallel edge', function () {
+    let g = new Graph({directed: false, multigraph: true})
+    g.setEdge('a', 'b', undefined, 'x')
+    expect(bridges(g)).to.eql([{v: 'a', w: 'b', name: 'x'}])
+  })
+
+  it('should handle paths longer than the call stack', function () {
+    let g = new Graph({directed: false})
+    g.setPath(_.map(_.range(20000), String))
+    expect(bridges(g)).to.have.length(19999)
+  })
+
+  it('should not treat opposite edges of a digraph as a bridge', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setEdge('b', 'a')
+    expect(bridges(g)).to.eql([])
+  })
+})
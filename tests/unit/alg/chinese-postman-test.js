@@ -0,0 +1,120 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {chinesePostman} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.chinesePostman', function () {
+  it('should walk an Eulerian graph without repeating edges', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'a'])
+
+    expect(chinesePostman(g, null, 'a')).to.eql({
+      distance: 3,
+      edges: [{v: 'a', w: 'b'}, {v: 'b', w: 'c'}, {v: 'c', w: 'a'}],
+      path: ['a', 'b', 'c', 'a']
+    })
+  })
+
+  it('should repeat the shortest paths between odd nodes of an undirected graph', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b', 1)
+    g.setEdge('b', 'c', 1)
+    g.setEdge('c', 'd', 1)
+    g.setEdge('d', 'a', 1)
+    g.setEdge('a', 'c', 5)
+
+    const route = chinesePostman(g, weightFn(g))
+    expectRoute(g, route)
+    expect(route.distance).to.equal(11)
+    expect(route.edges).to.have.length(7)
+  })
+
+  it('should pair up odd nodes at the lowest total distance', function () {
+    // Pairing the closest odd nodes a and b first would leave c and d to be
+    // joined by a path of distance 5 rather than 4 for the best pairing
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b', 1)
+    g.setEdge('c', 'd', 10)
+    g.setEdge('a', 'c', 2)
+    g.setEdge('b', 'd', 2)
+    g.setEdge('a', 'd', 6)
+    g.setEdge('b', 'c', 6)
+
+    const route = chinesePostman(g, weightFn(g))
+    expectRoute(g, route)
+    expect(route.distance).to.equal(31)
+  })
+
+  it('should pair up many odd nodes', function () {
+    // Every node of a ring of 34 nodes with chords across it has three
+    // edges, and the cheapest pairing joins each node to a neighbor
+    let g = new Graph({directed: false})
+    _.each(_.range(34), function (i) {
+      g.setEdge(String(i), String((i + 1) % 34))
+      if (i < 17) {
+        g.setEdge(String(i), String(i + 17))
+      }
+    })
+
+    const route = chinesePostman(g)
+    expectRoute(g, route)
+    expect(route.distance).to.equal(51 + 17)
+  })
+
+  it('should add paths from nodes with more edges in than out in a directed graph', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b', 1)
+    g.setEdge('b', 'c', 1)
+    g.setEdge('c', 'a', 1)
+    g.setEdge('a', 'c', 1)
+
+    const route = chinesePostman(g, weightFn(g), 'b')
+    expectRoute(g, route)
+    expect(route.distance).to.equal(5)
+    expect(route.path[0]).to.equal('b')
+  })
+
+  it('should return edge objects with their names for multigraphs', function () {
+    let g = new Graph({directed: false, multigraph: true})
+    g.setEdge('a', 'b', 2, 'x')
+    g.setEdge('a', 'b', 3, 'y')
+    g.setEdge('b', 'c', 1, 'z')
+
+    const route = chinesePostman(g, weightFn(g), 'a')
+    expectRoute(g, route)
+    expect(route.distance).to.equal(7)
+    expect(_.map(route.edges, 'name').sort()).to.eql(['x', 'y', 'z', 'z'])
+  })
+
+  it('should return null when there is no route', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    expect(chinesePostman(g)).to.equal(null)
+
+    let h = new Graph({directed: false})
+    h.setEdge('a', 'b')
+    h.setEdge('c', 'd')
+    expect(chinesePostman(h)).to.equal(null)
+  })
+})
+
+function expectRoute (g, route) {
+  expect(_.first(route.path)).to.equal(_.last(route.path))
+  expect(_.uniqWith(route.edges, _.isEqual)).to.have.length(g.edgeCount())
+  _.each(route.edges, function (edge, i) {
+    const ends = [route.path[i], route.path[i + 1]]
+    expect(g.hasEdge(edge)).to.equal(true)
+    if (g.isDirected()) {
+      expect([edge.v, edge.w]).to.eql(ends)
+    } else {
+      expect(_.sortBy([edge.v, edge.w])).to.eql(_.sortBy(ends))
+    }
+  })
+}
+
+function weightFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
@@ -0,0 +1,44 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {closenessCentrality} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.closenessCentrality', function () {
+  it('should return an empty object for an empty graph', function () {
+    expect(closenessCentrality(new Graph())).to.eql({})
+  })
+
+  it('should return 0 for a singleton graph', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(closenessCentrality(g)).to.eql({a: 0})
+  })
+
+  it('should score nodes by their inverse average distance', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c'])
+
+    expect(closenessCentrality(g)).to.eql({a: 2 / 3, b: 1, c: 2 / 3})
+  })
+
+  it('should scale down nodes that only reach part of the graph', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+
+    expect(closenessCentrality(g)).to.eql({a: 2 / 3, b: 0.5, c: 0})
+  })
+
+  it('should use the weight function to measure distances', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b', 2)
+    g.setEdge('b', 'c', 2)
+
+    expect(closenessCentrality(g, {weightFn: weightFn(g)})).to.eql({a: 1 / 3, b: 0.5, c: 1 / 3})
+  })
+})
+
+function weightFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
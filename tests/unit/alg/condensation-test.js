@@ -0,0 +1,51 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {condensation, topsort} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.condensation', function () {
+  it('should return an empty graph for an empty graph', function () {
+    const result = condensation(new Graph())
+    expect(result.graph.nodeCount()).to.equal(0)
+    expect(result.mapping).to.eql({})
+  })
+
+  it('should return a component per node for an acyclic graph', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+
+    const {graph, mapping} = condensation(g)
+    expect(graph.nodeCount()).to.equal(3)
+    expect(graph.hasEdge(mapping.a, mapping.b)).to.equal(true)
+    expect(graph.hasEdge(mapping.b, mapping.c)).to.equal(true)
+    expect(graph.node(mapping.a)).to.eql({members: ['a']})
+  })
+
+  it('should collapse strongly connected components', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'a'])
+    g.setPath(['c', 'd', 'e', 'd'])
+    g.setEdge('b', 'f')
+    g.setEdge('a', 'a')
+
+    const {graph, mapping} = condensation(g)
+    expect(graph.nodeCount()).to.equal(3)
+    expect(mapping.a).to.equal(mapping.b)
+    expect(mapping.a).to.equal(mapping.c)
+    expect(mapping.d).to.equal(mapping.e)
+    expect(_.sortBy(graph.node(mapping.a).members)).to.eql(['a', 'b', 'c'])
+    expect(_.sortBy(graph.node(mapping.d).members)).to.eql(['d', 'e'])
+    expect(_.sortBy(graph.successors(mapping.a))).to.eql(_.sortBy([mapping.d, mapping.f]))
+    expect(graph.edgeCount()).to.equal(2)
+  })
+
+  it('should return a graph that can be sorted topologically', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'a'])
+    g.setPath(['b', 'c', 'd', 'c'])
+
+    const {graph, mapping} = condensation(g)
+    expect(topsort(graph)).to.eql([mapping.a, mapping.c])
+  })
+})
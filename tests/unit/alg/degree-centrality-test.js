@@ -0,0 +1,41 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {degreeCentrality} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.degreeCentrality', function () {
+  it('should return an empty object for an empty graph', function () {
+    expect(degreeCentrality(new Graph())).to.eql({})
+  })
+
+  it('should return 0 for a singleton graph', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(degreeCentrality(g)).to.eql({a: 0})
+  })
+
+  it('should divide the degree by the number of other nodes', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b')
+    g.setEdge('a', 'c')
+    g.setEdge('a', 'd')
+    g.setNode('e')
+
+    expect(degreeCentrality(g)).to.eql({a: 0.75, b: 0.25, c: 0.25, d: 0.25, e: 0})
+  })
+
+  it('should count edges in the requested direction', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setEdge('a', 'c')
+
+    expect(degreeCentrality(g)).to.eql({a: 1, b: 0.5, c: 0.5})
+    expect(degreeCentrality(g, {direction: 'out'})).to.eql({a: 1, b: 0, c: 0})
+    expect(degreeCentrality(g, {direction: 'in'})).to.eql({a: 0, b: 0.5, c: 0.5})
+  })
+
+  it('should throw an Error for an unknown direction', function () {
+    let g = new Graph()
+    expect(function () { degreeCentrality(g, {direction: 'up'}) }).to.throw()
+  })
+})
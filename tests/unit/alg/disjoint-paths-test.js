@@ -0,0 +1,123 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {disjointPaths} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.disjointPaths', function () {
+  it('should throw an Error for an unknown mode', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    expect(function () { disjointPaths(g, 'a', 'b', {mode: 'path'}) }).to.throw()
+  })
+
+  it('should throw an Error if the graph does not have the source or target', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(function () { disjointPaths(g, 'a', 'b') }).to.throw()
+  })
+
+  it('should return null when there is only one path', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    expect(disjointPaths(g, 'a', 'c')).to.equal(null)
+  })
+
+  it('should return null when the target is unreachable', function () {
+    let g = new Graph()
+    g.setNode('a')
+    g.setNode('b')
+    expect(disjointPaths(g, 'a', 'b')).to.equal(null)
+  })
+
+  it('should find a pair where removing the shortest path leaves none', function () {
+    let g = new Graph()
+    g.setEdge('s', 'a', 1)
+    g.setEdge('a', 'b', 1)
+    g.setEdge('b', 't', 1)
+    g.setEdge('s', 'b', 2)
+    g.setEdge('a', 't', 2)
+
+    const result = disjointPaths(g, 's', 't', {weightFn: weightFn(g)})
+    expect(result.distance).to.equal(6)
+    expect(_.sortBy(_.map(result.paths, 'path'), _.toString)).to.eql([
+      ['s', 'a', 't'],
+      ['s', 'b', 't']
+    ])
+  })
+
+  it('should order the paths by distance', function () {
+    let g = new Graph()
+    g.setPath(['s', 'a', 't'], 1)
+    g.setPath(['s', 'b', 'c', 't'], 1)
+
+    const result = disjointPaths(g, 's', 't', {weightFn: weightFn(g)})
+    expect(result).to.eql({
+      distance: 5,
+      paths: [
+        {distance: 2, edges: [{v: 's', w: 'a'}, {v: 'a', w: 't'}], path: ['s', 'a', 't']},
+        {
+          distance: 3,
+          edges: [{v: 's', w: 'b'}, {v: 'b', w: 'c'}, {v: 'c', w: 't'}],
+          path: ['s', 'b', 'c', 't']
+        }
+      ]
+    })
+  })
+
+  it('should only share nodes in edge mode', function () {
+    let g = new Graph()
+    g.setPath(['s', 'a', 'm', 'c', 't'])
+    g.setPath(['s', 'b', 'm', 'd', 't'])
+
+    expect(disjointPaths(g, 's', 't', {mode: 'edge'}).distance).to.equal(8)
+    expect(disjointPaths(g, 's', 't', {mode: 'node'})).to.equal(null)
+  })
+
+  it('should find node disjoint paths', function () {
+    let g = new Graph()
+    g.setPath(['s', 'a', 'm', 't'])
+    g.setPath(['s', 'b', 'm'])
+    g.setPath(['b', 'c', 't'])
+
+    const result = disjointPaths(g, 's', 't', {mode: 'node'})
+    expect(_.sortBy(_.map(result.paths, 'path'), _.toString)).to.eql([
+      ['s', 'a', 'm', 't'],
+      ['s', 'b', 'c', 't']
+    ])
+  })
+
+  it('should work for undirected graphs', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('s', 'a', 1)
+    g.setEdge('a', 'b', 1)
+    g.setEdge('b', 't', 1)
+    g.setEdge('s', 'b', 2)
+    g.setEdge('a', 't', 2)
+
+    const result = disjointPaths(g, 't', 's', {weightFn: weightFn(g)})
+    expect(result.distance).to.equal(6)
+    expect(_.sortBy(_.map(result.paths, 'path'), _.toString)).to.eql([
+      ['t', 'a', 's'],
+      ['t', 'b', 's']
+    ])
+  })
+
+  it('should use parallel multigraph edges as separate routes', function () {
+    let g = new Graph({multigraph: true})
+    g.setEdge('a', 'b', 1, 'x')
+    g.setEdge('a', 'b', 2, 'y')
+
+    const result = disjointPaths(g, 'a', 'b', {weightFn: weightFn(g)})
+    expect(_.map(result.paths, 'edges')).to.eql([
+      [{v: 'a', w: 'b', name: 'x'}],
+      [{v: 'a', w: 'b', name: 'y'}]
+    ])
+  })
+})
+
+function weightFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
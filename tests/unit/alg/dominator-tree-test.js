@@ -0,0 +1,46 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {dominatorTree} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.dominatorTree', function () {
+  it('should return a tree of immediate dominators', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'd', 'e'])
+    g.setPath(['a', 'c', 'd'])
+    g.setNode('f')
+
+    const tree = dominatorTree(g, 'a')
+    expect(_.sortBy(tree.nodes())).to.eql(['a', 'b', 'c', 'd', 'e'])
+    expect(_.sortBy(tree.edges(), ['v', 'w'])).to.eql([
+      {v: 'a', w: 'b'},
+      {v: 'a', w: 'c'},
+      {v: 'a', w: 'd'},
+      {v: 'd', w: 'e'}
+    ])
+  })
+
+  it('should copy node labels', function () {
+    let g = new Graph()
+    g.setNode('a', 'root')
+    g.setNode('b', 'leaf')
+    g.setEdge('a', 'b')
+
+    const tree = dominatorTree(g, 'a')
+    expect(tree.node('a')).to.equal('root')
+    expect(tree.node('b')).to.equal('leaf')
+  })
+
+  it('should build the post dominator tree with the reverse option', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    g.setPath(['a', 'c'])
+
+    const tree = dominatorTree(g, 'c', {reverse: true})
+    expect(_.sortBy(tree.edges(), ['v', 'w'])).to.eql([
+      {v: 'c', w: 'a'},
+      {v: 'c', w: 'b'}
+    ])
+  })
+})
@@ -0,0 +1,69 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {dominators} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.dominators', function () {
+  it('should return an empty object for a singleton graph', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(dominators(g, 'a')).to.eql({})
+  })
+
+  it('should throw an Error if the graph does not have the root', function () {
+    let g = new Graph()
+    expect(function () { dominators(g, 'a') }).to.throw()
+  })
+
+  it('should throw an Error for undirected graphs', function () {
+    let g = new Graph({directed: false})
+    g.setNode('a')
+    expect(function () { dominators(g, 'a') }).to.throw()
+  })
+
+  it('should find the immediate dominators of a chain', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    expect(dominators(g, 'a')).to.eql({b: 'a', c: 'b'})
+  })
+
+  it('should find the immediate dominators of a diamond with a loop', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'd', 'e'])
+    g.setPath(['a', 'c', 'd'])
+    g.setEdge('e', 'b')
+
+    expect(dominators(g, 'a')).to.eql({b: 'a', c: 'a', d: 'a', e: 'd'})
+  })
+
+  it('should handle irreducible graphs', function () {
+    // The example from "A Simple, Fast Dominance Algorithm" by Cooper et al.
+    let g = new Graph()
+    g.setEdge('6', '5')
+    g.setEdge('6', '4')
+    g.setEdge('5', '1')
+    g.setEdge('4', '2')
+    g.setEdge('4', '3')
+    g.setEdge('1', '2')
+    g.setEdge('2', '1')
+    g.setEdge('2', '3')
+    g.setEdge('3', '2')
+
+    expect(dominators(g, '6')).to.eql({1: '6', 2: '6', 3: '6', 4: '6', 5: '6'})
+  })
+
+  it('should leave out nodes that are not reachable from the root', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b'])
+    g.setPath(['c', 'b'])
+    expect(dominators(g, 'a')).to.eql({b: 'a'})
+  })
+
+  it('should find post dominators with the reverse option', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'd', 'e'])
+    g.setPath(['a', 'c', 'd'])
+
+    expect(dominators(g, 'e', {reverse: true})).to.eql({a: 'd', b: 'd', c: 'd', d: 'e'})
+  })
+})
@@ -0,0 +1,76 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {eulerianPath} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.eulerianPath', function () {
+  it('should return an empty walk for a graph without edges', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(eulerianPath(g)).to.eql({edges: [], path: []})
+    expect(eulerianPath(g, 'a')).to.eql({edges: [], path: ['a']})
+  })
+
+  it('should throw an Error if the graph does not have the start', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    expect(function () { eulerianPath(g, 'z') }).to.throw()
+  })
+
+  it('should walk a directed path from its only possible start', function () {
+    let g = new Graph()
+    g.setPath(['b', 'c', 'a', 'b', 'd'])
+
+    expect(eulerianPath(g)).to.eql({
+      edges: [{v: 'b', w: 'c'}, {v: 'c', w: 'a'}, {v: 'a', w: 'b'}, {v: 'b', w: 'd'}],
+      path: ['b', 'c', 'a', 'b', 'd']
+    })
+    expect(eulerianPath(g, 'a')).to.equal(null)
+  })
+
+  it('should return a circuit from the given start', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'a'])
+    g.setPath(['a', 'd', 'e', 'a'])
+
+    const walk = eulerianPath(g, 'c')
+    expectWalk(g, walk)
+    expect(_.first(walk.path)).to.equal('c')
+    expect(_.last(walk.path)).to.equal('c')
+  })
+
+  it('should walk parallel edges and self loops of an undirected multigraph', function () {
+    let g = new Graph({directed: false, multigraph: true})
+    g.setEdge('a', 'b', null, 'x')
+    g.setEdge('a', 'b', null, 'y')
+    g.setEdge('b', 'c', null, 'z')
+    g.setEdge('c', 'c', null, 'loop')
+
+    const walk = eulerianPath(g)
+    expectWalk(g, walk)
+    expect(walk.path[0]).to.be.oneOf(['b', 'c'])
+    expect(_.map(walk.edges, 'name').sort()).to.eql(['loop', 'x', 'y', 'z'])
+  })
+
+  it('should return null when there is no Eulerian path', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setEdge('a', 'c')
+    expect(eulerianPath(g)).to.equal(null)
+  })
+})
+
+function expectWalk (g, walk) {
+  expect(walk.edges).to.have.length(g.edgeCount())
+  expect(_.uniqWith(walk.edges, _.isEqual)).to.have.length(g.edgeCount())
+  _.each(walk.edges, function (edge, i) {
+    const ends = [walk.path[i], walk.path[i + 1]]
+    expect(g.hasEdge(edge)).to.equal(true)
+    if (g.isDirected()) {
+      expect([edge.v, edge.w]).to.eql(ends)
+    } else {
+      expect(_.sortBy([edge.v, edge.w])).to.eql(_.sortBy(ends))
+    }
+  })
+}
@@ -0,0 +1,98 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {greedyColoring} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+const STRATEGIES = ['largest-first', 'dsatur', 'smallest-last']
+
+describe('alg.greedyColoring', function () {
+  it('should return an empty coloring for an empty graph', function () {
+    expect(greedyColoring(new Graph())).to.eql({colorCount: 0, coloring: {}})
+  })
+
+  it('should throw an Error for an unknown strategy', function () {
+    expect(function () { greedyColoring(new Graph(), {strategy: 'random'}) }).to.throw()
+  })
+
+  STRATEGIES.forEach(function (strategy) {
+    describe('with the ' + strategy + ' strategy', function () {
+      it('should give neighbors different colors', function () {
+        let g = new Graph()
+        g.setPath(['a', 'b', 'c', 'd', 'e', 'a'])
+        g.setEdge('a', 'c')
+        g.setEdge('f', 'f')
+
+        const result = greedyColoring(g, {strategy: strategy})
+        _.each(g.edges(), function (edge) {
+          if (edge.v !== edge.w) {
+            expect(result.coloring[edge.v]).to.not.equal(result.coloring[edge.w])
+          }
+        })
+        expect(_.keys(result.coloring)).to.have.length(6)
+        expect(result.colorCount).to.equal(3)
+      })
+
+      it('should color a bipartite graph with two colors', function () {
+        let g = new Graph({directed: false})
+        g.setPath(['a', 'b', 'c', 'd', 'e', 'f', 'a'])
+
+        expect(greedyColoring(g, {strategy: strategy}).colorCount).to.equal(2)
+      })
+    })
+  })
+
+  it('should color a crown graph with two colors using dsatur', function () {
+    // Largest first can need as many colors as there are pairs in a crown
+    // graph, while dsatur always finds the two colors of a bipartite graph
+    let g = new Graph({directed: false})
+    _.each(_.range(4), function (i) {
+      _.each(_.range(4), function (j) {
+        if (i !== j) {
+          g.setEdge('u' + i, 'v' + j)
+        }
+      })
+    })
+
+    expect(greedyColoring(g, {strategy: 'dsatur'}).colorCount).to.equal(2)
+  })
+
+  it('should color a tree with two colors using smallest-last', function () {
+    // Every node of a tree is taken out with at most one neighbor left, so
+    // it has at most one colored neighbor when its turn comes
+    let g = new Graph({directed: false})
+    _.each(_.range(1, 64), function (i) {
+      g.setEdge(String(Math.floor((i - 1) / 3)), String(i))
+    })
+
+    expect(greedyColoring(g, {strategy: 'smallest-last'}).colorCount).to.equal(2)
+  })
+
+  it('should handle large sparse graphs with every strategy', function () {
+    let g = new Graph({directed: false})
+    _.each(_.range(20000), function (i) {
+      g.setNode(String(i))
+      if (i % 2) {
+        g.setEdge(String(i), String((i * 7919) % 20000))
+      }
+    })
+
+    _.each(STRATEGIES, function (strategy) {
+      const result = greedyColoring(g, {strategy: strategy})
+      expect(_.keys(result.coloring)).to.have.length(20000)
+      _.each(g.edges(), function (edge) {
+        if (edge.v !== edge.w) {
+          expect(result.coloring[edge.v]).to.not.equal(result.coloring[edge.w])
+        }
+      })
+    })
+  })
+
+  it('should default to the largest first strategy', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setEdge('c', 'b')
+
+    expect(greedyColoring(g)).to.eql({colorCount: 2, coloring: {a: 1, b: 0, c: 1}})
+  })
+})
@@ -0,0 +1,45 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {isBipartite} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.isBipartite', function () {
+  it('should return an empty coloring for an empty graph', function () {
+    expect(isBipartite(new Graph())).to.eql({bipartite: true, coloring: {}})
+  })
+
+  it('should color the sides of a bipartite graph', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'd'])
+    g.setEdge('a', 'd')
+    g.setEdge('e', 'f')
+    g.setNode('g')
+
+    expect(isBipartite(g)).to.eql({
+      bipartite: true,
+      coloring: {a: 0, b: 1, c: 0, d: 1, e: 0, f: 1, g: 0}
+    })
+  })
+
+  it('should return an odd cycle for a graph that is not bipartite', function () {
+    let g = new Graph()
+    g.setEdge('x', 'a')
+    g.setPath(['a', 'b', 'c', 'd', 'e', 'a'])
+
+    const result = isBipartite(g)
+    expect(result.bipartite).to.equal(false)
+    expect(result.cycle).to.have.length(5)
+    result.cycle.forEach(function (v, i) {
+      const w = result.cycle[(i + 1) % result.cycle.length]
+      expect(g.hasEdge(v, w) || g.hasEdge(w, v)).to.equal(true)
+    })
+  })
+
+  it('should treat a self loop as an odd cycle', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setEdge('b', 'b')
+
+    expect(isBipartite(g)).to.eql({bipartite: false, cycle: ['b']})
+  })
+})
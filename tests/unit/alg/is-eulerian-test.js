@@ -0,0 +1,43 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {isEulerian} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.isEulerian', function () {
+  it('should return true for a graph without edges', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(isEulerian(g)).to.equal(true)
+  })
+
+  it('should return true for a directed cycle', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'a'])
+    g.setNode('d')
+    expect(isEulerian(g)).to.equal(true)
+  })
+
+  it('should return false for a directed path', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    expect(isEulerian(g)).to.equal(false)
+  })
+
+  it('should require every node of an undirected graph to have an even degree', function () {
+    let g = new Graph({directed: false, multigraph: true})
+    g.setEdge('a', 'b', null, 'x')
+    g.setEdge('a', 'b', null, 'y')
+    g.setEdge('b', 'b')
+    expect(isEulerian(g)).to.equal(true)
+
+    g.setEdge('b', 'c')
+    expect(isEulerian(g)).to.equal(false)
+  })
+
+  it('should return false when the edges are not connected', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'a'])
+    g.setPath(['c', 'd', 'c'])
+    expect(isEulerian(g)).to.equal(false)
+  })
+})
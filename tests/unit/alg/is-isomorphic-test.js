@@ -0,0 +1,99 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {isIsomorphic} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.isIsomorphic', function () {
+  it('should return an empty mapping for two empty graphs', function () {
+    expect(isIsomorphic(new Graph(), new Graph())).to.eql({})
+  })
+
+  it('should map the nodes of graphs that only differ in node ids', function () {
+    let g1 = new Graph()
+    g1.setPath(['a', 'b', 'c', 'a'])
+    g1.setEdge('c', 'd')
+
+    let g2 = new Graph()
+    g2.setPath(['1', '2', '3', '1'])
+    g2.setEdge('2', '4')
+
+    expect(isIsomorphic(g1, g2)).to.eql({1: 'b', 2: 'c', 3: 'a', 4: 'd'})
+  })
+
+  it('should respect edge direction', function () {
+    let g1 = new Graph()
+    g1.setPath(['a', 'b', 'c'])
+
+    let g2 = new Graph()
+    g2.setEdge('1', '2')
+    g2.setEdge('3', '2')
+
+    expect(isIsomorphic(g1, g2)).to.equal(null)
+  })
+
+  it('should return null for graphs with a different number of nodes', function () {
+    let g1 = new Graph()
+    g1.setNodes(['a', 'b'])
+
+    let g2 = new Graph()
+    g2.setNode('1')
+
+    expect(isIsomorphic(g1, g2)).to.equal(null)
+  })
+
+  it('should return null for graphs with the same degrees but different structure', function () {
+    let g1 = new Graph({directed: false})
+    g1.setPath(['a', 'b', 'c', 'd', 'e', 'f', 'a'])
+
+    let g2 = new Graph({directed: false})
+    g2.setPath(['1', '2', '3', '1'])
+    g2.setPath(['4', '5', '6', '4'])
+
+    expect(isIsomorphic(g1, g2)).to.equal(null)
+  })
+
+  it('should compare self loops and parallel edges', function () {
+    let g1 = new Graph({multigraph: true})
+    g1.setEdge('a', 'b', null, 'x')
+    g1.setEdge('a', 'b', null, 'y')
+    g1.setEdge('b', 'b')
+
+    let g2 = new Graph({multigraph: true})
+    g2.setEdge('1', '2', null, 'x')
+    g2.setEdge('1', '2', null, 'y')
+    g2.setEdge('1', '1')
+
+    let g3 = new Graph({multigraph: true})
+    g3.setEdge('1', '2', null, 'x')
+    g3.setEdge('1', '2', null, 'y')
+    g3.setEdge('2', '2')
+
+    expect(isIsomorphic(g1, g2)).to.equal(null)
+    expect(isIsomorphic(g1, g3)).to.eql({1: 'a', 2: 'b'})
+  })
+
+  it('should compare labels with the given comparators', function () {
+    let g1 = new Graph()
+    g1.setNode('a', 'router')
+    g1.setNode('b', 'switch')
+    g1.setEdge('a', 'b', 10)
+
+    let g2 = new Graph()
+    g2.setNode('1', 'switch')
+    g2.setNode('2', 'router')
+    g2.setEdge('2', '1', 20)
+
+    const equal = function (a, b) { return a === b }
+    expect(isIsomorphic(g1, g2, {nodeMatch: equal})).to.eql({1: 'b', 2: 'a'})
+    expect(isIsomorphic(g1, g2, {edgeMatch: equal})).to.equal(null)
+  })
+
+  it('should throw an Error when only one graph is directed', function () {
+    let g1 = new Graph()
+    g1.setNode('a')
+    let g2 = new Graph({directed: false})
+    g2.setNode('a')
+
+    expect(function () { isIsomorphic(g1, g2) }).to.throw()
+  })
+})
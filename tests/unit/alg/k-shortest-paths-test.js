@@ -0,0 +1,84 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {kShortestPaths} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.kShortestPaths', function () {
+  it('should return an empty array when the target is unreachable', function () {
+    let g = new Graph()
+    g.setNode('a')
+    g.setNode('b')
+    expect(kShortestPaths(g, 'a', 'b', 3)).to.eql([])
+  })
+
+  it('should throw an Error if the graph does not have the source or target', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(function () { kShortestPaths(g, 'a', 'b', 1) }).to.throw()
+  })
+
+  it('should return the k shortest loopless paths in order of distance', function () {
+    let g = new Graph()
+    g.setEdge('c', 'd', 3)
+    g.setEdge('c', 'e', 2)
+    g.setEdge('d', 'f', 4)
+    g.setEdge('e', 'd', 1)
+    g.setEdge('e', 'f', 2)
+    g.setEdge('e', 'g', 3)
+    g.setEdge('f', 'g', 2)
+    g.setEdge('f', 'h', 1)
+    g.setEdge('g', 'h', 2)
+
+    const paths = kShortestPaths(g, 'c', 'h', 3, weightFn(g))
+    expect(_.map(paths, 'path')).to.eql([
+      ['c', 'e', 'f', 'h'],
+      ['c', 'e', 'g', 'h'],
+      ['c', 'd', 'f', 'h']
+    ])
+    expect(_.map(paths, 'distance')).to.eql([5, 7, 8])
+  })
+
+  it('should return fewer than k paths when there are no more', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'd'])
+    g.setPath(['a', 'c', 'd'])
+    g.setEdge('d', 'a')
+
+    const paths = _.map(kShortestPaths(g, 'a', 'd', 5), 'path')
+    expect(_.sortBy(paths, _.toString)).to.eql([
+      ['a', 'b', 'd'],
+      ['a', 'c', 'd']
+    ])
+  })
+
+  it('should treat parallel multigraph edges as distinct routes', function () {
+    let g = new Graph({multigraph: true})
+    g.setEdge('a', 'b', 1, 'x')
+    g.setEdge('a', 'b', 2, 'y')
+    g.setEdge('b', 'c', 1)
+
+    expect(kShortestPaths(g, 'a', 'c', 3, weightFn(g))).to.eql([
+      {distance: 2, edges: [{v: 'a', w: 'b', name: 'x'}, {v: 'b', w: 'c'}], path: ['a', 'b', 'c']},
+      {distance: 3, edges: [{v: 'a', w: 'b', name: 'y'}, {v: 'b', w: 'c'}], path: ['a', 'b', 'c']}
+    ])
+  })
+
+  it('should work for undirected graphs', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b', 1)
+    g.setEdge('b', 'c', 1)
+    g.setEdge('c', 'a', 3)
+
+    expect(_.map(kShortestPaths(g, 'c', 'a', 2, weightFn(g)), 'path')).to.eql([
+      ['c', 'b', 'a'],
+      ['c', 'a']
+    ])
+  })
+})
+
+function weightFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
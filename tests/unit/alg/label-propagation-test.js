@@ -0,0 +1,54 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {labelPropagation} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.labelPropagation', function () {
+  it('should return no communities for an empty graph', function () {
+    expect(labelPropagation(new Graph())).to.eql({communities: {}, modularity: 0})
+  })
+
+  it('should put each node of a graph without edges in its own community', function () {
+    let g = new Graph()
+    g.setNode('a')
+    g.setNode('b')
+    expect(labelPropagation(g).communities).to.eql({a: 0, b: 1})
+  })
+
+  it('should handle many nodes that share a color', function () {
+    let g = new Graph()
+    _.each(_.range(20000), function (i) { g.setNode(String(i)) })
+    expect(_.size(labelPropagation(g).communities)).to.equal(20000)
+  })
+
+  it('should find two cliques joined by an edge', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c', 'd', 'a', 'c'])
+    g.setEdge('b', 'd')
+    g.setPath(['e', 'f', 'g', 'h', 'e', 'g'])
+    g.setEdge('f', 'h')
+    g.setEdge('d', 'e')
+
+    const result = labelPropagation(g)
+    expect(result.communities).to.eql({a: 0, b: 0, c: 0, d: 0, e: 1, f: 1, g: 1, h: 1})
+    expect(result.modularity).to.be.closeTo(12 / 13 - 0.5, 1e-9)
+  })
+
+  it('should give a connected component without structure a single community', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c'])
+    expect(labelPropagation(g).communities).to.eql({a: 0, b: 0, c: 0})
+  })
+
+  it('should write the communities back as parents', function () {
+    let g = new Graph({compound: true})
+    g.setEdge('a', 'b')
+    g.setNode('c')
+
+    labelPropagation(g, {setParent: true})
+    expect(g.parent('a')).to.equal('community-0')
+    expect(g.parent('b')).to.equal('community-0')
+    expect(g.parent('c')).to.equal('community-1')
+  })
+})
@@ -0,0 +1,93 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {louvain} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.louvain', function () {
+  it('should return no communities for an empty graph', function () {
+    expect(louvain(new Graph())).to.eql({communities: {}, modularity: 0})
+  })
+
+  it('should put each node of a graph without edges in its own community', function () {
+    let g = new Graph()
+    g.setNode('a')
+    g.setNode('b')
+    expect(louvain(g)).to.eql({communities: {a: 0, b: 1}, modularity: 0})
+  })
+
+  it('should find two triangles joined by an edge', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c', 'a'])
+    g.setPath(['d', 'e', 'f', 'd'])
+    g.setEdge('c', 'd')
+
+    const result = louvain(g)
+    expect(result.communities).to.eql({a: 0, b: 0, c: 0, d: 1, e: 1, f: 1})
+    expect(result.modularity).to.be.closeTo(6 / 7 - 0.5, 1e-9)
+  })
+
+  it('should merge communities over several levels', function () {
+    let g = new Graph({directed: false})
+    // Four triangles in a ring, where each pair of neighboring triangles is
+    // joined by two edges
+    const triangles = [['a', 'b', 'c'], ['d', 'e', 'f'], ['g', 'h', 'i'], ['j', 'k', 'l']]
+    triangles.forEach(function (t, i) {
+      const next = triangles[(i + 1) % triangles.length]
+      g.setPath([t[0], t[1], t[2], t[0]])
+      g.setEdge(t[2], next[0])
+      g.setEdge(t[1], next[1])
+    })
+
+    const communities = louvain(g).communities
+    triangles.forEach(function (t) {
+      expect(communities[t[1]]).to.equal(communities[t[0]])
+      expect(communities[t[2]]).to.equal(communities[t[0]])
+    })
+  })
+
+  it('should use the weight function', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b', 10)
+    g.setEdge('b', 'c', 1)
+    g.setEdge('c', 'd', 10)
+    g.setEdge('d', 'a', 1)
+    expect(louvain(g, weightFn(g)).communities).to.eql({a: 0, b: 0, c: 1, d: 1})
+
+    g.setEdge('a', 'b', 1)
+    g.setEdge('b', 'c', 10)
+    g.setEdge('c', 'd', 1)
+    g.setEdge('d', 'a', 10)
+    expect(louvain(g, weightFn(g)).communities).to.eql({a: 0, b: 1, c: 1, d: 0})
+  })
+
+  it('should write the communities back as parents', function () {
+    let g = new Graph({compound: true, directed: false})
+    g.setEdge('a', 'b')
+    g.setEdge('c', 'd')
+
+    louvain(g, null, {setParent: true})
+    expect(g.parent('a')).to.equal('community-0')
+    expect(g.parent('b')).to.equal('community-0')
+    expect(g.parent('c')).to.equal('community-1')
+  })
+
+  it('should name the parents with the setParent function', function () {
+    let g = new Graph({compound: true})
+    g.setEdge('a', 'b')
+
+    louvain(g, null, {setParent: function (id) { return 'group' + id }})
+    expect(g.parent('a')).to.equal('group0')
+  })
+
+  it('should throw an Error when writing back to a non-compound graph', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    expect(function () { louvain(g, null, {setParent: true}) }).to.throw()
+  })
+})
+
+function weightFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
@@ -0,0 +1,68 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {maxBipartiteMatching} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.maxBipartiteMatching', function () {
+  it('should return an empty matching for an empty graph', function () {
+    expect(maxBipartiteMatching(new Graph())).to.eql({matching: {}, size: 0})
+  })
+
+  it('should find a maximum matching that needs an augmenting path', function () {
+    let g = new Graph()
+    g.setEdge('c1', 'p1')
+    g.setEdge('c1', 'p2')
+    g.setEdge('c2', 'p1')
+    g.setEdge('c3', 'p2')
+    g.setEdge('c3', 'p3')
+
+    const result = maxBipartiteMatching(g, ['c1', 'c2', 'c3'])
+    expect(result.matching).to.eql({
+      c1: 'p2',
+      c2: 'p1',
+      c3: 'p3',
+      p1: 'c2',
+      p2: 'c1',
+      p3: 'c3'
+    })
+    expect(result.size).to.equal(3)
+  })
+
+  it('should leave nodes unmatched when there are not enough partners', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'x')
+    g.setEdge('b', 'x')
+    g.setEdge('c', 'x')
+
+    const result = maxBipartiteMatching(g, ['a', 'b', 'c'])
+    expect(result.size).to.equal(1)
+    expect(result.matching.x).to.be.oneOf(['a', 'b', 'c'])
+  })
+
+  it('should ignore edges between nodes on the same side', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setEdge('a', 'x')
+
+    expect(maxBipartiteMatching(g, ['a', 'b'])).to.eql({matching: {a: 'x', x: 'a'}, size: 1})
+  })
+
+  it('should work out the sides of a bipartite graph', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'd'])
+
+    expect(maxBipartiteMatching(g).size).to.equal(2)
+  })
+
+  it('should throw an Error when the sides cannot be worked out', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'a'])
+    expect(function () { maxBipartiteMatching(g) }).to.throw()
+  })
+
+  it('should throw an Error if the graph does not have a left node', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    expect(function () { maxBipartiteMatching(g, ['z']) }).to.throw()
+  })
+})
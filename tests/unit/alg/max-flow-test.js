@@ -0,0 +1,99 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {maxFlow} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.maxFlow', function () {
+  it('should throw an Error if the graph does not have the source or sink', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(function () { maxFlow(g, 'a', 'b') }).to.throw()
+  })
+
+  it('should throw an Error if the source is the sink', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(function () { maxFlow(g, 'a', 'a') }).to.throw()
+  })
+
+  it('should throw an Error if it encounters a negative capacity', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b', -1)
+    expect(function () { maxFlow(g, 'a', 'b', capacityFn(g)) }).to.throw()
+  })
+
+  it('should return no flow when the sink is unreachable', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setNode('c')
+
+    const result = maxFlow(g, 'a', 'c')
+    expect(result.value).to.equal(0)
+    expect(result.flow.edge('a', 'b')).to.equal(0)
+  })
+
+  it('should return the maximum flow and the flow on every edge', function () {
+    const g = network()
+    const result = maxFlow(g, 's', 't', capacityFn(g))
+
+    expect(result.value).to.equal(23)
+    expect(result.flow.nodes()).to.eql(g.nodes())
+    expect(result.flow.edgeCount()).to.equal(g.edgeCount())
+
+    _.each(g.edges(), function (e) {
+      expect(result.flow.edge(e)).to.be.within(0, g.edge(e))
+    })
+
+    _.each(_.without(g.nodes(), 's', 't'), function (v) {
+      const inFlow = _.sumBy(result.flow.inEdges(v), function (e) { return result.flow.edge(e) })
+      const outFlow = _.sumBy(result.flow.outEdges(v), function (e) { return result.flow.edge(e) })
+      expect(inFlow).to.equal(outFlow)
+    })
+  })
+
+  it('should keep separate capacities for parallel multigraph edges', function () {
+    let g = new Graph({multigraph: true})
+    g.setEdge('a', 'b', 2, 'x')
+    g.setEdge('a', 'b', 3, 'y')
+    g.setEdge('b', 'c', 10)
+
+    const result = maxFlow(g, 'a', 'c', capacityFn(g))
+    expect(result.value).to.equal(5)
+    expect(result.flow.edge('a', 'b', 'x')).to.equal(2)
+    expect(result.flow.edge('a', 'b', 'y')).to.equal(3)
+    expect(result.flow.edge('b', 'c')).to.equal(5)
+  })
+
+  it('should let undirected edges carry flow either way', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b', 3)
+    g.setEdge('b', 'c', 2)
+    g.setEdge('a', 'c', 1)
+
+    const result = maxFlow(g, 'c', 'a', capacityFn(g))
+    expect(result.value).to.equal(3)
+    expect(result.flow.edge('a', 'b')).to.equal(-2)
+    expect(result.flow.edge('a', 'c')).to.equal(-1)
+  })
+})
+
+function network () {
+  let g = new Graph()
+  g.setEdge('s', 'v1', 16)
+  g.setEdge('s', 'v2', 13)
+  g.setEdge('v1', 'v3', 12)
+  g.setEdge('v2', 'v1', 4)
+  g.setEdge('v2', 'v4', 14)
+  g.setEdge('v3', 'v2', 9)
+  g.setEdge('v3', 't', 20)
+  g.setEdge('v4', 'v3', 7)
+  g.setEdge('v4', 't', 4)
+  return g
+}
+
+function capacityFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
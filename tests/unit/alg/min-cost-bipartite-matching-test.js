@@ -0,0 +1,69 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {minCostBipartiteMatching} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.minCostBipartiteMatching', function () {
+  it('should return an empty matching for an empty graph', function () {
+    expect(minCostBipartiteMatching(new Graph())).to.eql({matching: {}, size: 0, weight: 0})
+  })
+
+  it('should find the cheapest assignment', function () {
+    let g = new Graph()
+    g.setEdge('a', 'x', 4)
+    g.setEdge('a', 'y', 1)
+    g.setEdge('a', 'z', 3)
+    g.setEdge('b', 'x', 2)
+    g.setEdge('b', 'y', 0)
+    g.setEdge('b', 'z', 5)
+    g.setEdge('c', 'x', 3)
+    g.setEdge('c', 'y', 2)
+    g.setEdge('c', 'z', 2)
+
+    expect(minCostBipartiteMatching(g, ['a', 'b', 'c'], weightFn(g))).to.eql({
+      matching: {a: 'y', b: 'x', c: 'z', x: 'b', y: 'a', z: 'c'},
+      size: 3,
+      weight: 5
+    })
+  })
+
+  it('should prefer a larger matching over a cheaper one', function () {
+    let g = new Graph()
+    g.setEdge('a', 'x', 1)
+    g.setEdge('a', 'y', 10)
+    g.setEdge('b', 'x', 10)
+
+    expect(minCostBipartiteMatching(g, ['a', 'b'], weightFn(g))).to.eql({
+      matching: {a: 'y', b: 'x', x: 'b', y: 'a'},
+      size: 2,
+      weight: 20
+    })
+  })
+
+  it('should handle sides of different sizes and negative weights', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'x', -1)
+    g.setEdge('a', 'y', -3)
+    g.setEdge('a', 'z', -2)
+
+    expect(minCostBipartiteMatching(g, ['a'], weightFn(g))).to.eql({
+      matching: {a: 'y', y: 'a'},
+      size: 1,
+      weight: -3
+    })
+  })
+
+  it('should use the lightest of parallel edges', function () {
+    let g = new Graph({multigraph: true})
+    g.setEdge('a', 'x', 5, 'slow')
+    g.setEdge('a', 'x', 2, 'fast')
+
+    expect(minCostBipartiteMatching(g, ['a'], weightFn(g)).weight).to.equal(2)
+  })
+})
+
+function weightFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
@@ -0,0 +1,71 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {minCut} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.minCut', function () {
+  it('should return an empty cut when the sink is unreachable', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setNode('c')
+
+    expect(minCut(g, 'a', 'c')).to.eql({
+      edges: [],
+      partitions: [['a', 'b'], ['c']],
+      value: 0
+    })
+  })
+
+  it('should return the cut edges and the partitions on either side', function () {
+    let g = new Graph()
+    g.setEdge('s', 'v1', 16)
+    g.setEdge('s', 'v2', 13)
+    g.setEdge('v1', 'v3', 12)
+    g.setEdge('v2', 'v1', 4)
+    g.setEdge('v2', 'v4', 14)
+    g.setEdge('v3', 'v2', 9)
+    g.setEdge('v3', 't', 20)
+    g.setEdge('v4', 'v3', 7)
+    g.setEdge('v4', 't', 4)
+
+    const result = minCut(g, 's', 't', capacityFn(g))
+    expect(result.value).to.equal(23)
+    expect(_.sortBy(result.edges, ['v', 'w'])).to.eql([
+      {v: 'v1', w: 'v3'},
+      {v: 'v4', w: 't'},
+      {v: 'v4', w: 'v3'}
+    ])
+    expect(_.map(result.partitions, _.sortBy)).to.eql([['s', 'v1', 'v2', 'v4'], ['t', 'v3']])
+  })
+
+  it('should cut every parallel multigraph edge', function () {
+    let g = new Graph({multigraph: true})
+    g.setEdge('a', 'b', 1, 'x')
+    g.setEdge('a', 'b', 1, 'y')
+    g.setEdge('b', 'c', 5)
+
+    const result = minCut(g, 'a', 'c', capacityFn(g))
+    expect(result.value).to.equal(2)
+    expect(result.edges).to.eql([{v: 'a', w: 'b', name: 'x'}, {v: 'a', w: 'b', name: 'y'}])
+  })
+
+  it('should work for undirected graphs', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b', 5)
+    g.setEdge('b', 'c', 1)
+    g.setEdge('c', 'd', 5)
+
+    expect(minCut(g, 'd', 'a', capacityFn(g))).to.eql({
+      edges: [{v: 'b', w: 'c'}],
+      partitions: [['c', 'd'], ['a', 'b']],
+      value: 1
+    })
+  })
+})
+
+function capacityFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
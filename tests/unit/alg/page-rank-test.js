@@ -0,0 +1,62 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {pageRank} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.pageRank', function () {
+  it('should return an empty object for an empty graph', function () {
+    expect(pageRank(new Graph())).to.eql({})
+  })
+
+  it('should rank the nodes of a cycle equally', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'a'])
+
+    const ranks = pageRank(g)
+    _.each(['a', 'b', 'c'], function (v) {
+      expect(ranks[v]).to.be.closeTo(1 / 3, 1e-6)
+    })
+  })
+
+  it('should rank nodes with more incoming links higher', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setEdge('b', 'a')
+    g.setEdge('c', 'a')
+    g.setEdge('d', 'a')
+
+    const ranks = pageRank(g)
+    expect(ranks.a).to.be.above(ranks.b)
+    expect(ranks.b).to.be.above(ranks.c)
+    expect(ranks.c).to.be.closeTo(ranks.d, 1e-9)
+    expect(_.sum(_.values(ranks))).to.be.closeTo(1, 1e-9)
+  })
+
+  it('should spread the rank of nodes without out edges over all nodes', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+
+    const ranks = pageRank(g, {damping: 0.5, tolerance: 1e-12})
+    expect(ranks.a).to.be.closeTo(0.4, 1e-9)
+    expect(ranks.b).to.be.closeTo(0.6, 1e-9)
+  })
+
+  it('should follow the edges of an undirected graph both ways', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b')
+    g.setEdge('a', 'c')
+
+    const ranks = pageRank(g)
+    expect(ranks.a).to.be.above(ranks.b)
+    expect(ranks.b).to.be.closeTo(ranks.c, 1e-9)
+  })
+
+  it('should stop after the maximum number of iterations', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setEdge('c', 'c')
+
+    expect(pageRank(g, {maxIterations: 0})).to.eql({a: 1 / 3, b: 1 / 3, c: 1 / 3})
+  })
+})
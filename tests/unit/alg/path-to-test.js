@@ -0,0 +1,100 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {bellmanFord, dijkstra, floydWarshall, pathTo} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.pathTo', function () {
+  it('should return a zero length path from the source to itself', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(pathTo(dijkstra(g, 'a'), 'a', 'a')).to.eql({distance: 0, edges: [], path: ['a']})
+  })
+
+  it('should return null when the target is unreachable', function () {
+    let g = new Graph()
+    g.setNode('a')
+    g.setNode('b')
+    expect(pathTo(dijkstra(g, 'a'), 'a', 'b')).to.equal(null)
+  })
+
+  it('should throw an Error if the result does not have the target', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(function () { pathTo(dijkstra(g, 'a'), 'a', 'b') }).to.throw()
+  })
+
+  it('should walk the predecessors of a single source result', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    g.setEdge('b', 'd')
+
+    expect(pathTo(dijkstra(g, 'a'), 'a', 'c')).to.eql({
+      distance: 2,
+      edges: [{v: 'a', w: 'b'}, {v: 'b', w: 'c'}],
+      path: ['a', 'b', 'c']
+    })
+  })
+
+  it('should walk the predecessors of an all pairs result', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b', 1)
+    g.setEdge('a', 'c', -2)
+    g.setEdge('b', 'd', 3)
+    g.setEdge('c', 'd', 3)
+
+    const result = floydWarshall(g, weightFn(g))
+    expect(pathTo(result, 'a', 'd').path).to.eql(['a', 'c', 'd'])
+    expect(pathTo(result, 'b', 'd').path).to.eql(['b', 'd'])
+    expect(pathTo(result, 'd', 'a')).to.equal(null)
+  })
+
+  it('should work with bellmanFord results', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b', 4)
+    g.setEdge('a', 'c', 2)
+    g.setEdge('c', 'b', -1)
+
+    expect(pathTo(bellmanFord(g, 'a', weightFn(g)), 'a', 'b').path).to.eql(['a', 'c', 'b'])
+  })
+
+  it('should return the named edges of a multigraph when given the graph', function () {
+    let g = new Graph({multigraph: true})
+    g.setEdge('a', 'b', 5, 'slow')
+    g.setEdge('a', 'b', 1, 'fast')
+    g.setEdge('b', 'c', 1)
+
+    const result = dijkstra(g, 'a', weightFn(g))
+    expect(pathTo(result, 'a', 'c', g, weightFn(g))).to.eql({
+      distance: 2,
+      edges: [{v: 'a', w: 'b', name: 'fast'}, {v: 'b', w: 'c'}],
+      path: ['a', 'b', 'c']
+    })
+  })
+
+  it('should return the edges of an undirected graph when given the graph', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b')
+    g.setEdge('b', 'c')
+
+    const result = dijkstra(g, 'c', undefined, g.nodeEdges.bind(g))
+    expect(pathTo(result, 'c', 'a', g).edges).to.eql([{v: 'b', w: 'c'}, {v: 'a', w: 'b'}])
+  })
+
+  it('should return the edges of a search that walked edges backwards', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+
+    const result = dijkstra(g, 'c', undefined, function (v) { return g.inEdges(v) })
+    expect(pathTo(result, 'c', 'a', g)).to.eql({
+      distance: 2,
+      edges: [{v: 'b', w: 'c'}, {v: 'a', w: 'b'}],
+      path: ['c', 'b', 'a']
+    })
+  })
+})
+
+function weightFn (g) {
+  return function (e) {
+    return g.edge(e)
+  }
+}
@@ -0,0 +1,70 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {preorder, preorderIter} = alg
+import {describe, it} from 'mocha'
+
+describe('alg.preorderIter', function () {
+  it('should yield the root for a singleton graph', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(drain(preorderIter(g, 'a'))).to.eql(['a'])
+  })
+
+  it('should visit the nodes in the same order as preorder', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'd', 'e'])
+    g.setPath(['a', 'c', 'd', 'e'])
+    g.setEdge('c', 'f')
+    g.setEdge('e', 'a')
+
+    expect(drain(preorderIter(g, 'a'))).to.eql(preorder(g, 'a'))
+  })
+
+  it('should work for multiple roots', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setEdge('c', 'd')
+    g.setNode('e')
+    g.setNode('f')
+
+    expect(drain(preorderIter(g, ['a', 'c', 'e']))).to.eql(preorder(g, ['a', 'c', 'e']))
+  })
+
+  it('should work for undirected graphs', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c'])
+    g.setEdge('d', 'b')
+
+    expect(drain(preorderIter(g, 'c'))).to.eql(preorder(g, 'c'))
+  })
+
+  it('should only look at the nodes it has visited when stopped early', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'd'])
+    const looked = []
+    const successors = g.successors
+    g.successors = function (v) {
+      looked.push(v)
+      return successors.call(this, v)
+    }
+
+    const iter = preorderIter(g, 'a')
+    expect(iter.next().value).to.equal('a')
+    expect(iter.next().value).to.equal('b')
+    expect(looked).to.eql(['a', 'b'])
+  })
+
+  it('should fail if root is not in the graph', function () {
+    let g = new Graph()
+    g.setNode('a')
+    expect(function () { preorderIter(g, 'b') }).to.throw()
+  })
+})
+
+function drain (iter) {
+  const values = []
+  for (let step = iter.next(); !step.done; step = iter.next()) {
+    values.push(step.value)
+  }
+  return values
+}
@@ -48,6 +48,22 @@ describe('alg.prim', function () {
 
     expect(function () { prim(source, weightFn(source)) }).to.throw()
   })
+
+  it('should return a minimum spanning forest for unconnected graphs when asked to', function () {
+    const source = new Graph()
+    source.setEdge('a', 'b', 1)
+    source.setEdge('b', 'c', 2)
+    source.setEdge('a', 'c', 3)
+    source.setEdge('d', 'e', 4)
+    source.setNode('f')
+
+    const g = prim(source, weightFn(source), {forest: true})
+    expect(_.sortBy(g.nodes())).to.eql(['a', 'b', 'c', 'd', 'e', 'f'])
+    expect(g.edgeCount()).to.equal(3)
+    expect(_.sortBy(g.neighbors('b'))).to.eql(['a', 'c'])
+    expect(_.sortBy(g.neighbors('d'))).to.eql(['e'])
+    expect(g.neighbors('f')).to.eql([])
+  })
 })
 
 function weightFn (g) {
@@ -0,0 +1,18 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {reachabilityIndex} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.reachabilityIndex', function () {
+  it('should index the nodes each node reaches', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    g.setEdge('d', 'b')
+
+    const index = reachabilityIndex(g)
+    expect(index.canReach('a', 'c')).to.equal(true)
+    expect(index.canReach('a', 'd')).to.equal(false)
+    expect(_.sortBy(index.ancestors('c'))).to.eql(['a', 'b', 'd'])
+  })
+})
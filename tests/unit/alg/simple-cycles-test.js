@@ -0,0 +1,98 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {simpleCycles} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.simpleCycles', function () {
+  it('should return an empty list for an empty graph', function () {
+    expect(simpleCycles(new Graph())).to.eql([])
+  })
+
+  it('should return an empty list for an acyclic graph', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    g.setEdge('a', 'c')
+    expect(simpleCycles(g)).to.eql([])
+  })
+
+  it('should return a self edge as a single node cycle', function () {
+    let g = new Graph()
+    g.setEdge('a', 'a')
+    expect(simpleCycles(g)).to.eql([['a']])
+  })
+
+  it('should return the nodes of a cycle in path order', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'a'])
+    g.setEdge('c', 'd')
+    expect(simpleCycles(g)).to.eql([['a', 'b', 'c']])
+  })
+
+  it('should return every elementary cycle exactly once', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'a'])
+    g.setPath(['b', 'a'])
+    g.setPath(['c', 'd', 'b'])
+    g.setEdge('d', 'd')
+
+    expect(_.sortBy(simpleCycles(g), _.toString)).to.eql([
+      ['a', 'b'],
+      ['a', 'b', 'c'],
+      ['b', 'c', 'd'],
+      ['d']
+    ])
+  })
+
+  it('should find all cycles of a complete digraph', function () {
+    let g = new Graph()
+    _.each(['a', 'b', 'c', 'd'], function (v) {
+      _.each(['a', 'b', 'c', 'd'], function (w) {
+        if (v !== w) {
+          g.setEdge(v, w)
+        }
+      })
+    })
+
+    // 6 cycles of length 2, 8 of length 3 and 6 of length 4
+    expect(simpleCycles(g)).to.have.length(20)
+  })
+
+  it('should stop after the limit is reached', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'a'])
+    g.setPath(['c', 'd', 'c'])
+    g.setPath(['e', 'f', 'e'])
+
+    expect(simpleCycles(g, {limit: 2})).to.have.length(2)
+  })
+
+  it('should handle cycles longer than the call stack', function () {
+    let g = new Graph()
+    g.setPath(_.map(_.range(20000), String).concat(['0']))
+
+    const cycles = simpleCycles(g)
+    expect(cycles).to.have.length(1)
+    expect(cycles[0]).to.have.length(20000)
+    expect(simpleCycles(g, {maxLength: 5})).to.eql([])
+  })
+
+  it('should return no cycles for a limit of zero', function () {
+    let g = new Graph()
+    g.setEdge('a', 'a')
+    expect(simpleCycles(g, {limit: 0})).to.eql([])
+  })
+
+  it('should ignore cycles longer than the maximum length', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'd', 'a'])
+    g.setPath(['b', 'x', 'b'])
+    g.setPath(['c', 'y', 'a'])
+    g.setEdge('d', 'b')
+
+    expect(_.sortBy(simpleCycles(g, {maxLength: 3}), _.toString)).to.eql([
+      ['b', 'c', 'd'],
+      ['b', 'x']
+    ])
+  })
+})
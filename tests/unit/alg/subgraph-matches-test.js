@@ -0,0 +1,107 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {subgraphMatches} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.subgraphMatches', function () {
+  it('should return a single empty match for an empty pattern', function () {
+    let host = new Graph()
+    host.setNode('a')
+    expect(subgraphMatches(host, new Graph())).to.eql([{}])
+  })
+
+  it('should return no matches when the pattern does not appear', function () {
+    let host = new Graph()
+    host.setPath(['a', 'b', 'c'])
+
+    let pattern = new Graph()
+    pattern.setPath(['x', 'y', 'x'])
+
+    expect(subgraphMatches(host, pattern)).to.eql([])
+  })
+
+  it('should find every place a directed pattern appears', function () {
+    let host = new Graph()
+    host.setPath(['a', 'b', 'c', 'd'])
+    host.setEdge('a', 'c')
+
+    let pattern = new Graph()
+    pattern.setPath(['x', 'y', 'z'])
+
+    expect(_.sortBy(subgraphMatches(host, pattern), 'x')).to.eql([
+      {x: 'a', y: 'b', z: 'c'},
+      {x: 'a', y: 'c', z: 'd'},
+      {x: 'b', y: 'c', z: 'd'}
+    ])
+  })
+
+  it('should skip matches with extra edges when induced', function () {
+    let host = new Graph()
+    host.setPath(['a', 'b', 'c', 'd'])
+    host.setEdge('a', 'c')
+
+    let pattern = new Graph()
+    pattern.setPath(['x', 'y', 'z'])
+
+    expect(_.sortBy(subgraphMatches(host, pattern, {induced: true}), 'x')).to.eql([
+      {x: 'a', y: 'c', z: 'd'},
+      {x: 'b', y: 'c', z: 'd'}
+    ])
+  })
+
+  it('should return every symmetric match of an undirected pattern', function () {
+    let host = new Graph({directed: false})
+    host.setPath(['a', 'b', 'c', 'a'])
+
+    let pattern = new Graph({directed: false})
+    pattern.setPath(['x', 'y', 'z', 'x'])
+
+    expect(subgraphMatches(host, pattern)).to.have.length(6)
+  })
+
+  it('should only match labels accepted by the comparators', function () {
+    let host = new Graph()
+    host.setNode('a', {kind: 'router'})
+    host.setNode('b', {kind: 'switch'})
+    host.setNode('c', {kind: 'switch'})
+    host.setEdge('a', 'b', {speed: 10})
+    host.setEdge('a', 'c', {speed: 100})
+
+    let pattern = new Graph()
+    pattern.setNode('x', {kind: 'router'})
+    pattern.setNode('y', {kind: 'switch'})
+    pattern.setEdge('x', 'y', {speed: 100})
+
+    expect(subgraphMatches(host, pattern, {
+      edgeMatch: function (hostLabel, patternLabel) { return hostLabel.speed >= patternLabel.speed },
+      nodeMatch: function (hostLabel, patternLabel) { return hostLabel.kind === patternLabel.kind }
+    })).to.eql([{x: 'a', y: 'c'}])
+  })
+
+  it('should pass the labels of parallel edges in multigraphs', function () {
+    let host = new Graph({multigraph: true})
+    host.setEdge('a', 'b', 'red', 'x')
+    host.setEdge('a', 'b', 'blue', 'y')
+    host.setEdge('b', 'c', 'red')
+
+    let pattern = new Graph({multigraph: true})
+    pattern.setEdge('x', 'y', 'blue')
+
+    expect(subgraphMatches(host, pattern, {
+      edgeMatch: function (hostLabels, patternLabels) {
+        return _.difference(patternLabels, hostLabels).length === 0
+      }
+    })).to.eql([{x: 'a', y: 'b'}])
+  })
+
+  it('should stop after the limit', function () {
+    let host = new Graph()
+    host.setPath(['a', 'b', 'c', 'd'])
+
+    let pattern = new Graph()
+    pattern.setEdge('x', 'y')
+
+    expect(subgraphMatches(host, pattern, {limit: 2})).to.have.length(2)
+  })
+})
@@ -0,0 +1,44 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {topologicalLayers, topsort} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.topologicalLayers', function () {
+  it('should return an empty array for an empty graph', function () {
+    expect(topologicalLayers(new Graph())).to.eql([])
+  })
+
+  it('should put unconnected nodes in the first layer', function () {
+    let g = new Graph()
+    g.setNode('a')
+    g.setNode('b')
+    expect(topologicalLayers(g)).to.eql([['a', 'b']])
+  })
+
+  it('should put each node in the layer after its latest predecessor', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'd'])
+    g.setPath(['a', 'e', 'd'])
+    g.setEdge('f', 'e')
+
+    const result = _.map(topologicalLayers(g), _.sortBy)
+    expect(result).to.eql([['a', 'f'], ['b', 'e'], ['c'], ['d']])
+  })
+
+  it('should throw CycleException with the nodes of the cycle', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'b'])
+
+    let cycle
+    expect(function () {
+      try {
+        topologicalLayers(g)
+      } catch (e) {
+        cycle = e.cycle
+        throw e
+      }
+    }).to.throw(topsort.CycleException)
+    expect(_.sortBy(cycle)).to.eql(['b', 'c'])
+  })
+})
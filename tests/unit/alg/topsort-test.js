@@ -46,4 +46,78 @@ describe('alg.topsort', function () {
     g.setNode('d')
     expect(function () { topsort(g) }).to.throw(topsort.CycleException)
   })
+
+  it('should report the nodes of a cycle reached from a sink', function () {
+    let g = new Graph()
+    g.setPath(['b', 'c', 'a', 'b'])
+    g.setEdge('b', 'd')
+
+    expect(cycleOf(function () { topsort(g) })).to.satisfy(isCycleOf(g, 3))
+  })
+
+  it('should report the nodes of a cycle that cannot reach a sink', function () {
+    let g = new Graph()
+    g.setPath(['d', 'b', 'c', 'a', 'b'])
+    g.setNode('e')
+
+    expect(cycleOf(function () { topsort(g) })).to.satisfy(isCycleOf(g, 3))
+  })
+
+  it('should report a self edge as a cycle', function () {
+    let g = new Graph()
+    g.setEdge('a', 'b')
+    g.setEdge('b', 'b')
+
+    expect(cycleOf(function () { topsort(g) })).to.eql(['b'])
+  })
+
+  describe('with a comparator', function () {
+    const comparator = function (v, w) {
+      return v < w ? -1 : v > w ? 1 : 0
+    }
+
+    it('should pick the smallest node among ready nodes', function () {
+      let g = new Graph()
+      g.setPath(['d', 'a'])
+      g.setPath(['c', 'b'])
+      g.setPath(['e', 'f'])
+
+      expect(topsort(g, {comparator})).to.eql(['c', 'b', 'd', 'a', 'e', 'f'])
+    })
+
+    it('should follow the comparator', function () {
+      let g = new Graph()
+      g.setPath(['a', 'd'])
+      g.setPath(['b', 'd'])
+      g.setPath(['c', 'd'])
+
+      expect(topsort(g, {comparator: function (v, w) { return comparator(w, v) }}))
+        .to.eql(['c', 'b', 'a', 'd'])
+    })
+
+    it('should throw CycleException with the nodes of the cycle', function () {
+      let g = new Graph()
+      g.setPath(['d', 'b', 'c', 'a', 'b'])
+      g.setEdge('a', 'e')
+
+      expect(function () { topsort(g, {comparator}) }).to.throw(topsort.CycleException)
+      expect(cycleOf(function () { topsort(g, {comparator}) })).to.satisfy(isCycleOf(g, 3))
+    })
+  })
 })
+
+function cycleOf (fn) {
+  try {
+    fn()
+  } catch (e) {
+    return e.cycle
+  }
+}
+
+function isCycleOf (g, length) {
+  return function (cycle) {
+    return cycle.length === length && _.every(cycle, function (v, i) {
+      return g.hasEdge(v, cycle[(i + 1) % cycle.length])
+    })
+  }
+}
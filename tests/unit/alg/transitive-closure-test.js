@@ -0,0 +1,74 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {transitiveClosure} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.transitiveClosure', function () {
+  it('should return an empty graph for an empty graph', function () {
+    const closure = transitiveClosure(new Graph())
+    expect(closure.nodeCount()).to.equal(0)
+    expect(closure.edgeCount()).to.equal(0)
+  })
+
+  it('should add an edge to every reachable node', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    g.setEdge('a', 'd')
+
+    expect(_.sortBy(transitiveClosure(g).edges(), ['v', 'w'])).to.eql([
+      {v: 'a', w: 'b'},
+      {v: 'a', w: 'c'},
+      {v: 'a', w: 'd'},
+      {v: 'b', w: 'c'}
+    ])
+  })
+
+  it('should add self loops to nodes on a cycle', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'a'])
+    g.setEdge('b', 'c')
+
+    expect(_.sortBy(transitiveClosure(g).edges(), ['v', 'w'])).to.eql([
+      {v: 'a', w: 'a'},
+      {v: 'a', w: 'b'},
+      {v: 'a', w: 'c'},
+      {v: 'b', w: 'a'},
+      {v: 'b', w: 'b'},
+      {v: 'b', w: 'c'}
+    ])
+  })
+
+  it('should connect every pair of nodes in a component of an undirected graph', function () {
+    let g = new Graph({directed: false})
+    g.setPath(['a', 'b', 'c'])
+    g.setNode('d')
+
+    const closure = transitiveClosure(g)
+    expect(closure.isDirected()).to.equal(false)
+    expect(closure.edgeCount()).to.equal(3)
+    expect(closure.hasEdge('c', 'a')).to.equal(true)
+    expect(closure.hasEdge('a', 'a')).to.equal(false)
+  })
+
+  it('should keep the labels of the graph, the nodes and existing edges', function () {
+    let g = new Graph()
+    g.setGraph('deps')
+    g.setNode('a', 'A')
+    g.setEdge('a', 'b', 'ab')
+    g.setEdge('b', 'c')
+
+    const closure = transitiveClosure(g)
+    expect(closure.graph()).to.equal('deps')
+    expect(closure.node('a')).to.equal('A')
+    expect(closure.edge('a', 'b')).to.equal('ab')
+    expect(closure.edge('a', 'c')).to.equal(undefined)
+  })
+
+  it('should not change the original graph', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    transitiveClosure(g)
+    expect(g.edgeCount()).to.equal(2)
+  })
+})
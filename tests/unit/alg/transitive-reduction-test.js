@@ -0,0 +1,75 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {topsort, transitiveReduction} = alg
+import _ from 'lodash'
+import {describe, it} from 'mocha'
+
+describe('alg.transitiveReduction', function () {
+  it('should return an empty graph for an empty graph', function () {
+    const reduction = transitiveReduction(new Graph())
+    expect(reduction.nodeCount()).to.equal(0)
+    expect(reduction.edgeCount()).to.equal(0)
+  })
+
+  it('should remove edges implied by longer paths', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'd'])
+    g.setEdge('a', 'c')
+    g.setEdge('a', 'd')
+    g.setEdge('b', 'd')
+    g.setEdge('a', 'e')
+
+    expect(_.sortBy(transitiveReduction(g).edges(), ['v', 'w'])).to.eql([
+      {v: 'a', w: 'b'},
+      {v: 'a', w: 'e'},
+      {v: 'b', w: 'c'},
+      {v: 'c', w: 'd'}
+    ])
+  })
+
+  it('should keep the edges of a diamond', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'd'])
+    g.setPath(['a', 'c', 'd'])
+
+    expect(transitiveReduction(g).edgeCount()).to.equal(4)
+  })
+
+  it('should keep the labels of the graph, the nodes and remaining edges', function () {
+    let g = new Graph({multigraph: true})
+    g.setGraph('deps')
+    g.setNode('a', 'A')
+    g.setEdge('a', 'b', 'ab', 'x')
+    g.setEdge('a', 'b', 'ab', 'y')
+    g.setEdge('b', 'c', 'bc')
+    g.setEdge('a', 'c', 'ac')
+
+    const reduction = transitiveReduction(g)
+    expect(reduction.graph()).to.equal('deps')
+    expect(reduction.node('a')).to.equal('A')
+    expect(reduction.edges()).to.have.length(2)
+    expect(reduction.edge('a', 'b')).to.equal('ab')
+    expect(reduction.edge('b', 'c')).to.equal('bc')
+  })
+
+  it('should keep the parents of a compound graph', function () {
+    let g = new Graph({compound: true})
+    g.setParent('a', 'group')
+    g.setEdge('a', 'b')
+
+    expect(transitiveReduction(g).parent('a')).to.equal('group')
+  })
+
+  it('should throw CycleException if there is a cycle', function () {
+    let g = new Graph()
+    g.setPath(['a', 'b', 'c', 'a'])
+
+    expect(function () { transitiveReduction(g) }).to.throw(topsort.CycleException)
+  })
+
+  it('should throw an Error for undirected graphs', function () {
+    let g = new Graph({directed: false})
+    g.setEdge('a', 'b')
+    expect(function () { transitiveReduction(g) }).to.throw()
+  })
+})
@@ -0,0 +1,146 @@
+import {expect} from 'chai'
+import {Graph} from 'ciena-graphlib'
+import ReachabilityIndex from 'ciena-graphlib/data/reachability-index'
+import _ from 'lodash'
+import {beforeEach, describe, it} from 'mocha'
+
+describe('data.ReachabilityIndex', function () {
+  let g, index
+
+  beforeEach(function () {
+    g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    g.setPath(['c', 'd', 'c'])
+    g.setEdge('a', 'e')
+    g.setNode('f')
+    index = new ReachabilityIndex(g)
+  })
+
+  describe('canReach', function () {
+    it('should follow paths in the direction of the edges', function () {
+      expect(index.canReach('a', 'd')).to.equal(true)
+      expect(index.canReach('d', 'a')).to.equal(false)
+      expect(index.canReach('b', 'e')).to.equal(false)
+    })
+
+    it('should return true for nodes on a cycle and for a node itself', function () {
+      expect(index.canReach('d', 'c')).to.equal(true)
+      expect(index.canReach('f', 'f')).to.equal(true)
+    })
+
+    it('should throw an Error if the graph does not have a node', function () {
+      expect(function () { index.canReach('a', 'z') }).to.throw()
+    })
+  })
+
+  describe('descendants', function () {
+    it('should return the other nodes a node reaches', function () {
+      expect(_.sortBy(index.descendants('a'))).to.eql(['b', 'c', 'd', 'e'])
+      expect(index.descendants('c')).to.eql(['d'])
+      expect(index.descendants('f')).to.eql([])
+    })
+  })
+
+  describe('ancestors', function () {
+    it('should return the other nodes that reach a node', function () {
+      expect(_.sortBy(index.ancestors('d'))).to.eql(['a', 'b', 'c'])
+      expect(index.ancestors('a')).to.eql([])
+    })
+  })
+
+  describe('setNode', function () {
+    it('should add the node to the graph and the index', function () {
+      index.setNode('g', 'label')
+      expect(g.node('g')).to.equal('label')
+      expect(index.descendants('g')).to.eql([])
+    })
+  })
+
+  describe('setEdge', function () {
+    it('should add the edge to the graph and update the index', function () {
+      index.setEdge('e', 'f', 'label')
+      expect(g.edge('e', 'f')).to.equal('label')
+      expect(index.canReach('a', 'f')).to.equal(true)
+      expect(index.canReach('b', 'f')).to.equal(false)
+    })
+
+    it('should add new nodes', function () {
+      index.setEdge('x', 'a')
+      expect(index.canReach('x', 'd')).to.equal(true)
+      expect(index.canReach('a', 'x')).to.equal(false)
+    })
+
+    it('should merge nodes that end up on a cycle', function () {
+      index.setEdge('d', 'a')
+      expect(index.canReach('c', 'b')).to.equal(true)
+      expect(_.sortBy(index.ancestors('e'))).to.eql(['a', 'b', 'c', 'd'])
+    })
+
+    it('should accept edge objects', function () {
+      g = new Graph({multigraph: true})
+      g.setNode('a')
+      index = new ReachabilityIndex(g)
+      index.setEdge({v: 'a', w: 'b', name: 'x'}, 'label')
+      expect(g.edge('a', 'b', 'x')).to.equal('label')
+      expect(index.canReach('a', 'b')).to.equal(true)
+    })
+
+    it('should keep answering correctly as the index grows', function () {
+      g = new Graph()
+      index = new ReachabilityIndex(g)
+      _.each(_.range(99), function (i) {
+        index.setEdge(String(i), String(i + 1))
+      })
+
+      expect(index.canReach('0', '99')).to.equal(true)
+      expect(index.canReach('99', '0')).to.equal(false)
+      expect(index.descendants('90')).to.have.length(9)
+    })
+  })
+
+  describe('removeEdge', function () {
+    it('should remove the edge from the graph and update the index', function () {
+      index.removeEdge('b', 'c')
+      expect(g.hasEdge('b', 'c')).to.equal(false)
+      expect(index.canReach('a', 'c')).to.equal(false)
+    })
+  })
+
+  describe('removeNode', function () {
+    it('should remove the node from the graph and the index', function () {
+      index.removeNode('c')
+      expect(g.hasNode('c')).to.equal(false)
+      expect(index.canReach('a', 'd')).to.equal(false)
+      expect(function () { index.descendants('c') }).to.throw()
+    })
+  })
+
+  describe('reset', function () {
+    it('should pick up changes made directly to the graph', function () {
+      g.setEdge('f', 'a')
+      index.reset()
+      expect(index.canReach('f', 'd')).to.equal(true)
+    })
+  })
+
+  describe('for undirected graphs', function () {
+    beforeEach(function () {
+      g = new Graph({directed: false})
+      g.setPath(['a', 'b', 'c'])
+      g.setNode('d')
+      index = new ReachabilityIndex(g)
+    })
+
+    it('should let every node reach the rest of its component', function () {
+      expect(index.canReach('c', 'a')).to.equal(true)
+      expect(index.canReach('a', 'd')).to.equal(false)
+      expect(_.sortBy(index.ancestors('b'))).to.eql(['a', 'c'])
+    })
+
+    it('should join components when an edge is added', function () {
+      index.setEdge('d', 'c')
+      expect(index.canReach('a', 'd')).to.equal(true)
+      expect(index.canReach('d', 'a')).to.equal(true)
+    })
+  })
+})
@@ -0,0 +1,142 @@
+import {expect} from 'chai'
+import {Graph, alg} from 'ciena-graphlib'
+const {topsort} = alg
+import TopologicalOrder from 'ciena-graphlib/data/topological-order'
+import _ from 'lodash'
+import {beforeEach, describe, it} from 'mocha'
+
+describe('data.TopologicalOrder', function () {
+  let g, order
+
+  beforeEach(function () {
+    g = new Graph()
+    g.setPath(['a', 'b', 'c'])
+    g.setNode('d')
+    order = new TopologicalOrder(g)
+  })
+
+  function expectValid () {
+    const sorted = order.order()
+    expect(_.sortBy(sorted)).to.eql(_.sortBy(g.nodes()))
+    _.each(g.edges(), function (e) {
+      expect(_.indexOf(sorted, e.v)).to.be.lt(_.indexOf(sorted, e.w))
+    })
+  }
+
+  function cycleOf (fn) {
+    try {
+      fn()
+    } catch (e) {
+      return e.cycle
+    }
+  }
+
+  it('should throw an Error for undirected graphs', function () {
+    expect(function () { return new TopologicalOrder(new Graph({directed: false})) }).to.throw()
+  })
+
+  it('should throw CycleException for cyclic graphs', function () {
+    g.setEdge('c', 'a')
+    expect(function () { return new TopologicalOrder(g) }).to.throw(topsort.CycleException)
+  })
+
+  describe('order', function () {
+    it('should return the nodes in topological order', function () {
+      expectValid()
+    })
+  })
+
+  describe('setNode', function () {
+    it('should add the node to the graph and the order', function () {
+      order.setNode('e', 'label')
+      expect(g.node('e')).to.equal('label')
+      expect(_.last(order.order())).to.equal('e')
+    })
+  })
+
+  describe('setEdge', function () {
+    it('should add the edge to the graph', function () {
+      order.setEdge('a', 'c', 'label')
+      expect(g.edge('a', 'c')).to.equal('label')
+      expectValid()
+    })
+
+    it('should move nodes to keep the order valid', function () {
+      order.setEdge('c', 'd')
+      order.setEdge('d', 'e')
+      order.setEdge('f', 'a')
+      expectValid()
+    })
+
+    it('should accept edge objects', function () {
+      g = new Graph({multigraph: true})
+      g.setPath(['a', 'b'])
+      order = new TopologicalOrder(g)
+      order.setEdge({v: 'c', w: 'a', name: 'x'}, 'label')
+      expect(g.edge('c', 'a', 'x')).to.equal('label')
+      expectValid()
+    })
+
+    it('should keep the order valid across many insertions', function () {
+      const nodes = _.map(_.range(12), function (i) { return 'n' + i })
+      g = new Graph()
+      order = new TopologicalOrder(g)
+      _.each(nodes, function (v) { order.setNode(v) })
+
+      // Every edge points against the initial order, forcing nodes to move
+      _.each(_.range(11, 0, -1), function (i) {
+        _.each(_.range(0, i), function (j) {
+          if ((i * 7 + j * 3) % 4 === 0) {
+            order.setEdge(nodes[i], nodes[j])
+          }
+        })
+      })
+
+      expect(g.edgeCount()).to.be.above(0)
+      expectValid()
+    })
+
+    it('should reject an edge that would create a cycle', function () {
+      expect(function () { order.setEdge('c', 'a') }).to.throw(topsort.CycleException)
+      expect(g.hasEdge('c', 'a')).to.equal(false)
+      expectValid()
+    })
+
+    it('should report the cycle the edge would create', function () {
+      expect(cycleOf(function () { order.setEdge('c', 'a') })).to.eql(['a', 'b', 'c'])
+    })
+
+    it('should reject a self edge', function () {
+      expect(cycleOf(function () { order.setEdge('a', 'a') })).to.eql(['a'])
+      expect(g.hasEdge('a', 'a')).to.equal(false)
+    })
+  })
+
+  describe('removeEdge', function () {
+    it('should remove the edge from the graph', function () {
+      order.removeEdge('a', 'b')
+      expect(g.hasEdge('a', 'b')).to.equal(false)
+      order.setEdge('b', 'a')
+      expectValid()
+    })
+  })
+
+  describe('removeNode', function () {
+    it('should remove the node from the graph and the order', function () {
+      order.removeNode('b')
+      expect(g.hasNode('b')).to.equal(false)
+      expect(order.order()).not.to.include('b')
+      order.setEdge('c', 'a')
+      expectValid()
+    })
+  })
+
+  describe('reset', function () {
+    it('should pick up changes made directly to the graph', function () {
+      g.setEdge('c', 'd')
+      g.setEdge('e', 'a')
+      order.reset()
+      expectValid()
+    })
+  })
+})
@@ -0,0 +1,123 @@
+import {expect} from 'chai'
+import UnionFind from 'ciena-graphlib/data/union-find'
+import _ from 'lodash'
+import {beforeEach, describe, it} from 'mocha'
+
+describe('data.UnionFind', function () {
+  let sets
+
+  beforeEach(function () {
+    sets = new UnionFind()
+  })
+
+  describe('add', function () {
+    it('should return true if the key was added', function () {
+      expect(sets.add('a')).to.equal(true)
+    })
+
+    it('should return false if the key was already present', function () {
+      sets.add('a')
+      expect(sets.add('a')).to.equal(false)
+    })
+
+    it('should put the key in a set of its own', function () {
+      sets.add('a')
+      expect(sets.find('a')).to.equal('a')
+    })
+  })
+
+  describe('find', function () {
+    it('should add keys that are not present', function () {
+      expect(sets.find('a')).to.equal('a')
+      expect(sets.add('a')).to.equal(false)
+    })
+
+    it('should coerce keys to strings', function () {
+      sets.union(1, 2)
+      expect(sets.find('1')).to.equal(sets.find(2))
+    })
+  })
+
+  describe('union', function () {
+    it('should return true if two sets were merged', function () {
+      expect(sets.union('a', 'b')).to.equal(true)
+    })
+
+    it('should return false if the keys are already in the same set', function () {
+      sets.union('a', 'b')
+      sets.union('b', 'c')
+      expect(sets.union('a', 'c')).to.equal(false)
+    })
+
+    it('should give merged keys the same representative', function () {
+      sets.union('a', 'b')
+      sets.union('c', 'd')
+      expect(sets.find('a')).to.equal(sets.find('b'))
+      expect(sets.find('a')).not.to.equal(sets.find('c'))
+
+      sets.union('b', 'd')
+      expect(sets.find('a')).to.equal(sets.find('c'))
+    })
+  })
+
+  describe('connected', function () {
+    it('should return true if the keys are in the same set', function () {
+      sets.union('a', 'b')
+      sets.union('b', 'c')
+      expect(sets.connected('a', 'c')).to.equal(true)
+    })
+
+    it('should return false if the keys are in different sets', function () {
+      sets.union('a', 'b')
+      sets.add('c')
+      expect(sets.connected('a', 'c')).to.equal(false)
+    })
+
+    it('should return false without adding keys that are not present', function () {
+      sets.add('a')
+      expect(sets.connected('x', 'y')).to.equal(false)
+      expect(sets.connected('a', 'x')).to.equal(false)
+      expect(sets.connected('x', 'x')).to.equal(false)
+      expect(sets.setCount()).to.equal(1)
+      expect(sets.add('x')).to.equal(true)
+    })
+  })
+
+  describe('setCount', function () {
+    it('should return 0 for an empty structure', function () {
+      expect(sets.setCount()).to.equal(0)
+    })
+
+    it('should count every added key as a set', function () {
+      sets.add('a')
+      sets.add('b')
+      sets.add('a')
+      expect(sets.setCount()).to.equal(2)
+    })
+
+    it('should decrease as sets are merged', function () {
+      sets.add('a')
+      sets.add('b')
+      sets.add('c')
+      sets.union('a', 'b')
+      sets.union('b', 'a')
+      expect(sets.setCount()).to.equal(2)
+    })
+  })
+
+  describe('sets', function () {
+    it('should return an empty array for an empty structure', function () {
+      expect(sets.sets()).to.eql([])
+    })
+
+    it('should return the keys of each set', function () {
+      sets.union('a', 'b')
+      sets.union('c', 'd')
+      sets.union('d', 'e')
+      sets.add('f')
+
+      const result = _.sortBy(_.map(sets.sets(), _.sortBy), _.head)
+      expect(result).to.eql([['a', 'b'], ['c', 'd', 'e'], ['f']])
+    })
+  })
+})
@@ -74,6 +74,27 @@ describe('Graph', function () {
     })
   })
 
+  describe('nodesIter', function () {
+    it('should be done right away if there are no nodes in the graph', function () {
+      expect(g.nodesIter().next()).to.eql({done: true, value: undefined})
+    })
+
+    it('should yield the ids of nodes in the graph', function () {
+      g.setNode('a')
+      g.setNode('b')
+      expect(_.sortBy(drain(g.nodesIter()))).to.eql(['a', 'b'])
+    })
+
+    it('should skip nodes removed during iteration', function () {
+      g.setNode('a')
+      g.setNode('b')
+      const iter = g.nodesIter()
+      const first = iter.next().value
+      g.removeNode(first === 'a' ? 'b' : 'a')
+      expect(iter.next().done).to.equal(true)
+    })
+  })
+
   describe('sources', function () {
     it('should return nodes in the graph that have no in-edges', function () {
       g.setPath(['a', 'b', 'c'])
@@ -485,6 +506,125 @@ describe('Graph', function () {
     })
   })
 
+  describe('ancestors', function () {
+    beforeEach(function () {
+      g = new Graph({compound: true})
+    })
+
+    it('should return undefined if the node is not in the graph', function () {
+      expect(g.ancestors('a')).to.equal(undefined)
+    })
+
+    it('should return an empty list for a top level node', function () {
+      g.setNode('a')
+      expect(g.ancestors('a')).to.eql([])
+    })
+
+    it('should return an empty list for a non-compound graph', function () {
+      const g = new Graph()
+      g.setNode('a')
+      expect(g.ancestors('a')).to.eql([])
+    })
+
+    it('should return the parents from nearest to furthest', function () {
+      g.setParent('a', 'b')
+      g.setParent('b', 'c')
+      expect(g.ancestors('a')).to.eql(['b', 'c'])
+    })
+  })
+
+  describe('descendants', function () {
+    beforeEach(function () {
+      g = new Graph({compound: true})
+    })
+
+    it('should return undefined if the node is not in the graph', function () {
+      expect(g.descendants('a')).to.equal(undefined)
+    })
+
+    it('should return an empty list for a node without children', function () {
+      g.setNode('a')
+      expect(g.descendants('a')).to.eql([])
+    })
+
+    it('should return nested nodes at every depth, parents first', function () {
+      g.setParent('b', 'a')
+      g.setParent('c', 'b')
+      g.setParent('d', 'a')
+      g.setNode('e')
+
+      const descendants = g.descendants('a')
+      expect(_.sortBy(descendants)).to.eql(['b', 'c', 'd'])
+      expect(_.indexOf(descendants, 'b')).to.be.below(_.indexOf(descendants, 'c'))
+    })
+
+    it('should return all nodes when no node is given', function () {
+      g.setParent('b', 'a')
+      g.setNode('c')
+      expect(_.sortBy(g.descendants())).to.eql(['a', 'b', 'c'])
+    })
+
+    it('should handle a node with many children', function () {
+      _.each(_.range(40000), function (i) {
+        g.setParent(String(i), 'root')
+      })
+      expect(g.descendants('root')).to.have.length(40000)
+    })
+  })
+
+  describe('depth', function () {
+    beforeEach(function () {
+      g = new Graph({compound: true})
+    })
+
+    it('should return undefined if the node is not in the graph', function () {
+      expect(g.depth('a')).to.equal(undefined)
+    })
+
+    it('should return 0 for a top level node', function () {
+      g.setNode('a')
+      expect(g.depth('a')).to.equal(0)
+    })
+
+    it('should return the number of ancestors of a nested node', function () {
+      g.setParent('a', 'b')
+      g.setParent('b', 'c')
+      expect(g.depth('a')).to.equal(2)
+      expect(g.depth('b')).to.equal(1)
+    })
+  })
+
+  describe('lowestCommonAncestor', function () {
+    beforeEach(function () {
+      g = new Graph({compound: true})
+      g.setParent('a', 'ab')
+      g.setParent('b', 'ab')
+      g.setParent('ab', 'root')
+      g.setParent('c', 'root')
+      g.setNode('d')
+    })
+
+    it('should return undefined if either node is not in the graph', function () {
+      expect(g.lowestCommonAncestor('a', 'z')).to.equal(undefined)
+      expect(g.lowestCommonAncestor('z', 'a')).to.equal(undefined)
+    })
+
+    it('should return the closest parent shared by both nodes', function () {
+      expect(g.lowestCommonAncestor('a', 'b')).to.equal('ab')
+      expect(g.lowestCommonAncestor('a', 'c')).to.equal('root')
+      expect(g.lowestCommonAncestor('c', 'b')).to.equal('root')
+    })
+
+    it('should return the node itself when it contains the other one', function () {
+      expect(g.lowestCommonAncestor('root', 'a')).to.equal('root')
+      expect(g.lowestCommonAncestor('a', 'a')).to.equal('a')
+    })
+
+    it('should return undefined when the nodes only share the top level', function () {
+      expect(g.lowestCommonAncestor('a', 'd')).to.equal(undefined)
+    })
+  })
+
   describe('predecessors', function () {
     it('should return undefined for a node that is not in the graph', function () {
       expect(g.predecessors('a')).to.equal(undefined)
@@ -515,6 +655,21 @@ describe('Graph', function () {
     })
   })
 
+  describe('successorsIter', function () {
+    it('should return undefined for a node that is not in the graph', function () {
+      expect(g.successorsIter('a')).to.equal(undefined)
+    })
+
+    it('should yield the successors of a node', function () {
+      g.setEdge('a', 'b')
+      g.setEdge('b', 'c')
+      g.setEdge('a', 'a')
+      expect(_.sortBy(drain(g.successorsIter('a')))).to.eql(['a', 'b'])
+      expect(drain(g.successorsIter('b'))).to.eql(['c'])
+      expect(drain(g.successorsIter('c'))).to.eql([])
+    })
+  })
+
   describe('neighbors', function () {
     it('should return undefined for a node that is not in the graph', function () {
       expect(g.neighbors('a')).to.equal(undefined)
@@ -545,6 +700,30 @@ describe('Graph', function () {
     })
   })
 
+  describe('edgesIter', function () {
+    it('should be done right away if there are no edges in the graph', function () {
+      expect(g.edgesIter().next()).to.eql({done: true, value: undefined})
+    })
+
+    it('should yield the keys for edges in the graph', function () {
+      g.setEdge('a', 'b')
+      g.setEdge('b', 'c')
+      expect(_.sortBy(drain(g.edgesIter()), ['v', 'w'])).to.eql([
+        {v: 'a', w: 'b'},
+        {v: 'b', w: 'c'}
+      ])
+    })
+
+    it('should skip edges removed during iteration', function () {
+      g.setEdge('a', 'b')
+      g.setEdge('b', 'c')
+      const iter = g.edgesIter()
+      const first = iter.next().value
+      g.removeEdge(first.v === 'a' ? 'b' : 'a', first.v === 'a' ? 'c' : 'b')
+      expect(iter.next().done).to.equal(true)
+    })
+  })
+
   describe('setPath', function () {
     it('should create a path of mutiple edges', function () {
       g.setPath(['a', 'b', 'c'])
@@ -944,3 +1123,11 @@ describe('Graph', function () {
     })
   })
 })
+
+function drain (iter) {
+  const values = []
+  for (let step = iter.next(); !step.done; step = iter.next()) {
+    values.push(step.value)
+  }
+  return values
+}